@@ -10,62 +10,447 @@ class WMInfiniteSlider {
   static pluginName = "infinite-slider";
   static sharedCursor = null; // Singleton custom cursor
   static cursorInstances = new Set(); // Track instances using the cursor
+  static instances = new Map(); // Registry of live instances, keyed by section element
+  static imageWidths = [100, 300, 500, 750, 1000, 1500, 2500]; // Squarespace ?format=NNNw sizes
+  static gallerySectionItemSelector = ".gallery-grid-item, .gallery-masonry-item, .gallery-strips-item, .gallery-reel-item, .gallery-slideshow-item, .gallery-fullscreen-slideshow-item";
+  static galleryBlockItemSelector = ".sqs-block-gallery .slide";
+  static easings = {
+    linear: t => t,
+    "ease-in": t => t * t * t,
+    "ease-out": t => 1 - (1 - t) ** 3,
+    "ease-in-out": t => (t < 0.5 ? 4 * t ** 3 : 1 - (-2 * t + 2) ** 3 / 2),
+  };
+  static videoHolds = ["user", "offscreen", "hidden", "lightbox"]; // Pause holds that also pause video slides
+  static focusableSelector = "a[href], button, input, select, textarea, [tabindex]";
+  static cursorProperties = ["--cursor-background", "--cursor-color", "--cursor-padding", "--cursor-border-radius", "--cursor-font-size", "--icon-size", "--cursor-thumbnail-size", "--cursor-max-width"]; // Copied from the hovered section onto the shared cursor
+
+  static settingsAttribute = "data-infinite-slider"; // Marks sections and in-section JSON config for auto-init
+
+  // Built-in user-facing and assistive strings, picked by the section's (or page's) lang; {name} is filled in
+  static translations = {
+    en: {
+      region: "Scrolling gallery",
+      carousel: "carousel",
+      pause: "Pause slideshow",
+      play: "Play slideshow",
+      previous: "Previous item",
+      next: "Next item",
+      position: "Slideshow position",
+      item: "Item {index} of {count}",
+      goToItem: "Go to item {index} of {count}",
+      open: "Open {title}",
+      openItem: "Open item",
+      lightbox: "Image lightbox",
+      close: "Close",
+      clickthrough: "Opens link",
+      newWindow: "(opens in a new window)",
+    },
+    fr: {
+      region: "Galerie défilante",
+      carousel: "carrousel",
+      pause: "Mettre le diaporama en pause",
+      play: "Lancer le diaporama",
+      previous: "Élément précédent",
+      next: "Élément suivant",
+      position: "Position dans le diaporama",
+      item: "Élément {index} sur {count}",
+      goToItem: "Aller à l'élément {index} sur {count}",
+      open: "Ouvrir {title}",
+      openItem: "Ouvrir l'élément",
+      lightbox: "Visionneuse d'images",
+      close: "Fermer",
+      clickthrough: "Ouvre le lien",
+      newWindow: "(s'ouvre dans une nouvelle fenêtre)",
+    },
+    de: {
+      region: "Laufende Galerie",
+      carousel: "Karussell",
+      pause: "Diashow anhalten",
+      play: "Diashow abspielen",
+      previous: "Vorheriges Element",
+      next: "Nächstes Element",
+      position: "Position in der Diashow",
+      item: "Element {index} von {count}",
+      goToItem: "Zu Element {index} von {count}",
+      open: "{title} öffnen",
+      openItem: "Element öffnen",
+      lightbox: "Bildansicht",
+      close: "Schließen",
+      clickthrough: "Öffnet Link",
+      newWindow: "(öffnet in neuem Fenster)",
+    },
+    es: {
+      region: "Galería en movimiento",
+      carousel: "carrusel",
+      pause: "Pausar presentación",
+      play: "Reproducir presentación",
+      previous: "Elemento anterior",
+      next: "Elemento siguiente",
+      position: "Posición en la presentación",
+      item: "Elemento {index} de {count}",
+      goToItem: "Ir al elemento {index} de {count}",
+      open: "Abrir {title}",
+      openItem: "Abrir elemento",
+      lightbox: "Visor de imágenes",
+      close: "Cerrar",
+      clickthrough: "Abre el enlace",
+      newWindow: "(se abre en una ventana nueva)",
+    },
+  };
+  static defaultSettings = {
+    speedMobile: 30, // pixels per second - used for duration calculation
+    speedDesktop: 50, // pixels per second - used for duration calculation
+    reverse: false, // reverse animation direction
+    stopOnHover: false, // pause animation on hover
+    allowClickthrough: false, // allow clicking items to navigate to their button link
+    iconHtml:
+      '<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M7 7h10v10"/><path d="M7 17 17 7"/></svg>', // HTML for clickthrough icon
+    customCursor: false, // enable custom cursor with item title
+    cursorTheme: null, // custom theme for cursor (defaults to section theme)
+    cursorTemplate: null, // cursor HTML with {title}, {description}, {thumbnail}, {index} and {total} placeholders (defaults to the title)
+    cursorLag: 0.1, // fraction of the remaining distance the cursor moves each frame (1 = no lag)
+    preserveStructure: false, // preserve original list section HTML structure (ignored once a source feed loads)
+    pauseButton: false, // show a WCAG 2.2.2 compliant pause/play toggle button
+    draggable: false, // allow dragging/swiping the track, with momentum on release
+    engine: "css", // "css" keyframes, or "js" to drive the track with requestAnimationFrame
+    hoverSpeed: 0, // fraction of the base speed while hovered with stopOnHover ("js" engine only)
+    easeDuration: 0.6, // seconds to ease between speeds, e.g. on hover or pause ("js" engine only)
+    scrollVelocity: false, // add page scroll velocity to the base speed (uses the "js" engine)
+    scrollVelocityMultiplier: 0.3, // px/s of added track speed per px/s of page scroll
+    scrollVelocityMax: 600, // maximum speed boost from scrolling, in px/s
+    scrollVelocityReverse: true, // scrolling up pushes the track against its direction
+    pauseOffscreen: true, // pause while the slider is off-screen or the browser tab is hidden
+    lazyLoad: true, // defer loading images until the slider is near the viewport
+    lazyLoadMargin: "300px", // distance from the viewport at which images start loading
+    lightbox: false, // open clicked items in a full-screen lightbox (when allowClickthrough is off)
+    caption: false, // image-only mode captions: "below", "overlay" or "hover" (true means "below")
+    captionFields: ["title", "description", "button"], // item content shown in the caption, in order
+    rows: 1, // number of tracks the items are dealt across
+    rowSettings: [], // per-row overrides: {reverse (run against the slider direction), speed (multiplier), offset (0-1)}
+    orientation: "horizontal", // "horizontal", or "vertical" to scroll up/down inside a fixed-height column
+    fade: "auto", // "color" (gradient in --fade-color), "mask" (fades the slides themselves), "auto" or false
+    fadeSide: "both", // "both", "start" (left/top) or "end" (right/bottom)
+    mobileBreakpoint: 768, // below this width speedMobile applies and the custom cursor is off (CSS layout still switches at 768px)
+    breakpoints: {}, // overrides by minimum width, e.g. {1024: {speedDesktop: 80, rows: 2}}
+    source: null, // collection URL to load items from with ?format=json (a .json URL is fetched as-is)
+    sourceLimit: 0, // maximum number of items taken from the source (0 = all)
+    sourceTag: null, // only use source items with this tag
+    sourceCategory: null, // only use source items in this category
+    mode: "continuous", // "continuous" glide, or "step" to move one item at a time and hold (uses the "js" engine)
+    stepDwell: 2, // seconds to hold on each item ("step" mode, which sets its own pace: speeds, setSpeed and scrollVelocity don't apply)
+    stepDuration: 0.6, // seconds each step takes ("step" mode)
+    stepEasing: "ease-in-out", // "linear", "ease-in", "ease-out" or "ease-in-out" ("step" mode)
+    navButtons: false, // show previous/next buttons that move one item (timed by stepDuration and stepEasing)
+    indicator: false, // false, "bar" or "dots" - which item of the first row is at the leading edge
+    analytics: false, // emit :itemVisible (once per item) and :itemClick events
+    analyticsThreshold: 0.5, // fraction of an item that must be in view to count as seen
+    analyticsForward: false, // also send item events to gtag, or window.dataLayer, when present
+    labels: {}, // override strings by key (see WMInfiniteSlider.translations), e.g. {pause: "Stop"}
+  };
+
+  // Settings a crossed breakpoint can change in place; any other change rebuilds the slider
+  static liveSettings = [
+    "speedMobile",
+    "speedDesktop",
+    "reverse",
+    "stopOnHover",
+    "customCursor",
+    "cursorTheme",
+    "cursorTemplate",
+    "cursorLag",
+    "pauseButton",
+    "rows",
+    "rowSettings",
+    "captionFields",
+    "hoverSpeed",
+    "easeDuration",
+    "scrollVelocityMultiplier",
+    "scrollVelocityMax",
+    "scrollVelocityReverse",
+    "iconHtml",
+    "stepDwell",
+    "stepDuration",
+    "stepEasing",
+    "navButtons",
+    "indicator",
+    "fade",
+    "fadeSide",
+    "mobileBreakpoint",
+    "breakpoints",
+  ];
+
+  // Settings that accept more than the type of their default
+  static settingTypes = {
+    caption: ["boolean", "string"],
+    cursorTheme: ["string"],
+    cursorTemplate: ["string"],
+    source: ["string"],
+    sourceTag: ["string"],
+    sourceCategory: ["string"],
+    indicator: ["boolean", "string"],
+    fade: ["boolean", "string"],
+  };
 
   static emitEvent(type, detail = {}, elem = document) {
     elem.dispatchEvent(new CustomEvent(`wm-${this.pluginName}${type}`, {detail, bubbles: true}));
   }
 
+  // Look up a live instance by section id ("my-section" or "#my-section"), data-section-id,
+  // the section element itself, or any element inside it
+  static getInstance(target) {
+    if (!target) return null;
+
+    if (typeof target === "string") {
+      const id = target.replace(/^#/, "");
+      return this.getInstances().find(instance => instance.el.id === id || instance.el.dataset.sectionId === id) || null;
+    }
+
+    if (this.instances.has(target)) return this.instances.get(target);
+    const section = target.closest?.(`[data-wm-plugin="${this.pluginName}"]`);
+    return (section && this.instances.get(section)) || null;
+  }
+
+  static getInstances() {
+    return Array.from(this.instances.values());
+  }
+
+  /**
+   * Declarative configuration
+   * Settings are merged from these sources, later ones winning:
+   *   1. defaultSettings
+   *   2. window.wmInfiniteSliderSettings entries keyed by a CSS selector that matches the section, in key order
+   *   3. window.wmInfiniteSliderSettings entry keyed by the section id or data-section-id
+   *   4. <script type="application/json" data-infinite-slider> inside the section
+   *   5. data-infinite-slider-* attributes on the section, e.g. data-infinite-slider-speed-desktop="80"
+   **/
+  static getGlobalSettings() {
+    return window.wmInfiniteSliderSettings || {};
+  }
+
+  static isSelectorKey(key) {
+    return /^[.#[*]|[\s>:]/.test(key);
+  }
+
+  // Sections to auto-init: id prefix, data attribute, in-section JSON config or a global selector key
+  static findSections() {
+    const sections = new Set(document.querySelectorAll(`[id^="${this.pluginName}"], [${this.settingsAttribute}]:not(script)`));
+
+    document.querySelectorAll(`script[type="application/json"][${this.settingsAttribute}]`).forEach(script => {
+      const section = script.closest(".page-section, section");
+      if (section) sections.add(section);
+    });
+
+    Object.keys(this.getGlobalSettings())
+      .filter(key => this.isSelectorKey(key))
+      .forEach(selector => {
+        try {
+          document.querySelectorAll(selector).forEach(el => sections.add(el.closest(".page-section, section") || el));
+        } catch (error) {
+          console.warn(`[${this.pluginName}] Invalid selector "${selector}" in wmInfiniteSliderSettings`);
+        }
+      });
+
+    return Array.from(sections);
+  }
+
+  static resolveSettings(section) {
+    const label = section.id ? `#${section.id}` : section.dataset.sectionId ? `[data-section-id="${section.dataset.sectionId}"]` : "section";
+    const globalSettings = this.getGlobalSettings();
+    const resolved = {};
+
+    Object.entries(globalSettings).forEach(([key, settings]) => {
+      if (!this.isSelectorKey(key)) return;
+      try {
+        if (!section.matches(key)) return;
+      } catch (error) {
+        return;
+      }
+      Object.assign(resolved, this.validateSettings(settings, label, `wmInfiniteSliderSettings["${key}"]`));
+    });
+
+    const idKey = [section.id, section.dataset.sectionId].find(key => key && globalSettings[key]);
+    if (idKey) {
+      Object.assign(resolved, this.validateSettings(globalSettings[idKey], label, `wmInfiniteSliderSettings["${idKey}"]`));
+    }
+
+    section.querySelectorAll(`script[type="application/json"][${this.settingsAttribute}]`).forEach(script => {
+      try {
+        Object.assign(resolved, this.validateSettings(JSON.parse(script.textContent), label, "JSON config"));
+      } catch (error) {
+        console.warn(`[${this.pluginName}] Invalid JSON config in ${label}: ${error.message}`);
+      }
+    });
+
+    Object.assign(resolved, this.validateSettings(this.readDataAttributes(section), label, "data attributes"));
+
+    return resolved;
+  }
+
+  // data-infinite-slider-speed-desktop="80" -> {speedDesktop: 80}
+  static readDataAttributes(section) {
+    const settings = {};
+    Object.entries(section.dataset).forEach(([key, value]) => {
+      const match = key.match(/^infiniteSlider([A-Z].*)$/);
+      if (!match) return;
+      settings[match[1].charAt(0).toLowerCase() + match[1].slice(1)] = this.parseAttributeValue(value);
+    });
+    return settings;
+  }
+
+  static parseAttributeValue(value) {
+    const trimmed = value.trim();
+    if (trimmed === "" || trimmed === "true") return true;
+    if (trimmed === "false") return false;
+    if (trimmed === "null") return null;
+    if (!isNaN(trimmed)) return Number(trimmed);
+    if (/^[[{]/.test(trimmed)) {
+      try {
+        return JSON.parse(trimmed);
+      } catch (error) {
+        // Not JSON after all - keep the raw string
+      }
+    }
+    return value;
+  }
+
+  static getSettingType(value) {
+    if (value === null) return "null";
+    return Array.isArray(value) ? "array" : typeof value;
+  }
+
+  // Drop unknown or mistyped keys with a warning naming the key and section
+  static validateSettings(settings, label, source) {
+    if (!settings || this.getSettingType(settings) !== "object") {
+      console.warn(`[${this.pluginName}] Ignoring ${source} for ${label}: expected an object`);
+      return {};
+    }
+
+    const known = Object.keys(this.defaultSettings);
+    const valid = {};
+
+    Object.entries(settings).forEach(([key, value]) => {
+      if (!known.includes(key)) {
+        const suggestion = known.find(name => name.toLowerCase() === key.toLowerCase());
+        console.warn(`[${this.pluginName}] Unknown setting "${key}" in ${source} for ${label}` + (suggestion ? ` - did you mean "${suggestion}"?` : ""));
+        return;
+      }
+
+      const defaultValue = this.defaultSettings[key];
+      const expected = this.settingTypes[key] || [this.getSettingType(defaultValue)];
+      const actual = this.getSettingType(value);
+      if ((defaultValue !== null || this.settingTypes[key]) && !expected.includes(actual) && !(actual === "null" && expected.includes("string"))) {
+        console.warn(`[${this.pluginName}] Setting "${key}" in ${source} for ${label} should be ${expected.join(" or ")}, got ${actual}`);
+        return;
+      }
+
+      if (key === "breakpoints") {
+        valid[key] = {};
+        Object.entries(value).forEach(([minWidth, overrides]) => {
+          if (isNaN(minWidth)) {
+            console.warn(`[${this.pluginName}] Breakpoint "${minWidth}" in ${source} for ${label} should be a minimum width in pixels`);
+            return;
+          }
+          valid[key][minWidth] = this.validateSettings(overrides, label, `${source} breakpoint ${minWidth}`);
+        });
+        return;
+      }
+
+      valid[key] = value;
+    });
+
+    return valid;
+  }
+
   constructor(el, settings = {}) {
     this.el = el; // The .page-section element
-    this.settings = {
-      speedMobile: 30, // pixels per second - used for duration calculation
-      speedDesktop: 50, // pixels per second - used for duration calculation
-      reverse: false, // reverse animation direction
-      stopOnHover: false, // pause animation on hover
-      allowClickthrough: false, // allow clicking items to navigate to their button link
-      iconHtml:
-        '<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M7 7h10v10"/><path d="M7 17 17 7"/></svg>', // HTML for clickthrough icon
-      customCursor: false, // enable custom cursor with item title
-      cursorTheme: null, // custom theme for cursor (defaults to section theme)
-      preserveStructure: false, // preserve original list section HTML structure
-      pauseButton: false, // show a WCAG 2.2.2 compliant pause/play toggle button
+    this.baseSettings = {
+      ...WMInfiniteSlider.defaultSettings,
       ...settings,
-    };
+    }; // Settings as configured, before breakpoint overrides
+    this.overrides = {}; // Runtime API changes (setSpeed, setDirection), kept across breakpoints
+    this.activeBreakpoint = this.getActiveBreakpoint(); // Largest matching breakpoints key, or null
+    this.settings = this.resolveBreakpointSettings(); // Effective settings at the current width
+    this.wasMobile = this.isMobile(); // Which side of mobileBreakpoint the settings were applied on
     this.data = null;
     this.sectionTitle = null;
     this.sectionButton = null;
     this.options = null;
     this.styles = null;
     this.originalContainer = null; // Original container (source of truth, hidden)
+    this.sourceType = null; // "list", "gallery-section" or "gallery-block"
+    this.sourceController = null; // Aborts the source feed request if destroyed while loading
+    this.sourceLoaded = false; // Whether this.data came from the source feed (live updates then leave it alone)
+    this.contentObserver = null; // Watches the original container for edits to the items
+    this.contentTimer = null; // Debounces content mutations into one update
+    this.slideKeys = new WeakMap(); // Slide element -> key of the item it was built from
+    this.videoObserver = null; // Loads and plays video slides near view, pauses the rest
+    this.visibleVideos = new Set(); // Video slides currently near view
+    this.itemObserver = null; // Reports items scrolling into view (if analytics)
+    this.seenItems = new Set(); // Item indices already reported as visible
+    this.itemHandlers = new Map(); // Event type -> item behaviours dispatched by the wrapper (see onItem)
+    this.nudgeFrame = null; // requestAnimationFrame id of a running prev/next transition
+    this.indicator = null; // Position indicator state: {element, type, index, timer} (if indicator)
     this.pluginContainer = null; // Duplicate container (where slider lives)
     this.originalSlides = []; // Store original slide elements for preserve mode
     this.pluginName = this.constructor.pluginName;
     this.isBackend = window.top !== window.self;
     this.resizeTimer = null;
     this.imagesLoaded = false;
+    this.pendingReset = null; // resetSlider options requested before the first measure, applied once measured
+    this.pendingSync = false; // The original list changed before the first measure; synced once measured
     this.customCursorEl = null; // Reference to shared cursor (if enabled)
     this._cursorHandlers = null; // Store cursor event handlers for cleanup
     this.pauseButton = null; // Reference to pause/play toggle button (if enabled)
-    this.userPaused = false; // Track explicit user pause from the toggle button
+    this.userPaused = false; // Track explicit user pause from the toggle button or API
+    this.pauseHolds = new Set(); // Active reasons holding the animation (user, hover)
+    this._resizeHandler = null; // Store resize handler for cleanup
+    this.rows = []; // One entry per track: {track, reverse, speed, offset, distance, position, velocity}
+    this.dragState = null; // Pointer drag/momentum state (if draggable)
+    this.engine = null; // requestAnimationFrame loop state (if engine is "js"); per-row motion lives on this.rows
+    this.scrollBoost = 0; // Current speed boost from page scrolling, in px/s (if scrollVelocity)
+    this._scrollHandler = null; // Store scroll handler for cleanup
+    this.lazyObserver = null; // Starts image loading once the slider nears the viewport
+    this.visibilityObserver = null; // Holds the animation while the slider is off-screen
+    this._visibilityHandler = null; // Store visibilitychange handler for cleanup
+    this.lightbox = null; // Lightbox overlay state (if lightbox is enabled, built on first open)
     this.lastWindowWidth = window.innerWidth; // Track width for resize detection (iOS dynamic URL bar fix)
+    this.resizeObserver = null; // Re-measures the tracks when the wrapper changes size
+    this.resizeFrame = null; // Coalesces ResizeObserver callbacks into one re-measure per frame
+    this.lastWrapperSize = null; // Last observed wrapper size, to skip no-op observations
 
     this.init();
   }
 
   init() {
     WMInfiniteSlider.emitEvent(":beforeInit", {el: this.el}, this.el);
+    // Only one live instance per section (registered up front so a pending source load is replaced too)
+    WMInfiniteSlider.instances.get(this.el)?.destroy();
+    WMInfiniteSlider.instances.set(this.el, this);
     this.addDataAttribute();
     this.extractData();
 
+    // A collection feed replaces the section's own items, which stay as the fallback
+    if (this.settings.source) {
+      this.loadSource().then(loaded => {
+        if (loaded) this.build();
+      });
+      return;
+    }
+
+    this.build();
+  }
+
+  build({rebuild = false} = {}) {
     if (!this.data || this.data.length === 0) {
       console.warn(`[${this.pluginName}] No items found`);
+      WMInfiniteSlider.instances.delete(this.el);
       return;
     }
 
     this.removeOrHideOriginalListSectionContent();
     this.buildLayout();
     this.bindEvents();
-    WMInfiniteSlider.emitEvent(":afterInit", {el: this.el}, this.el);
+    if (!rebuild) WMInfiniteSlider.emitEvent(":afterInit", {el: this.el, instance: this}, this.el);
   }
 
   addDataAttribute() {
@@ -75,15 +460,181 @@ class WMInfiniteSlider {
     if (this.settings.allowClickthrough) {
       this.el.setAttribute("data-allow-clickthrough", "true");
     }
+
+    if (this.hasLightbox()) {
+      this.el.setAttribute("data-lightbox", "true");
+    }
+
+    if (this.isVertical()) {
+      this.el.setAttribute("data-orientation", "vertical");
+    }
+
+    this.applyFade();
+  }
+
+  applyFade() {
+    this.el.setAttribute("data-fade", this.getFadeMode());
+    if (["start", "end"].includes(this.settings.fadeSide)) {
+      this.el.setAttribute("data-fade-side", this.settings.fadeSide);
+    } else {
+      this.el.removeAttribute("data-fade-side");
+    }
+  }
+
+  // The CSS styles these three positions; anything else would leave the caption unstyled beside the image
+  getCaptionPosition() {
+    const {caption} = this.settings;
+    if (caption === true) return "below";
+    if (["below", "overlay", "hover"].includes(caption)) return caption;
+
+    console.warn(`[${this.pluginName}] Unknown caption "${caption}" - use "below", "overlay" or "hover"; showing it below`);
+    return "below";
+  }
+
+  isVertical() {
+    return this.settings.orientation === "vertical";
+  }
+
+  // "auto" masks over section backgrounds a flat --fade-color can't match
+  getFadeMode() {
+    const {fade} = this.settings;
+    if (!fade) return "none";
+    if (fade === "auto") return this.hasBackgroundMedia() ? "mask" : "color";
+    return fade === "mask" ? "mask" : "color";
+  }
+
+  hasBackgroundMedia() {
+    // 7.1 renders background images/videos into .section-background, 7.0 flags the section
+    if (this.el.classList.contains("has-background")) return true;
+    const background = this.el.querySelector(":scope > .section-background");
+    return !!background?.querySelector("img, video, iframe, .sqs-video-background, .sqs-video-background-native");
+  }
+
+  // Multilingual sites can set lang per section; unknown languages fall back to English
+  getLabel(key, values = {}) {
+    const lang = (this.el.closest("[lang]")?.lang || "en").toLowerCase().split("-")[0];
+    const {translations} = WMInfiniteSlider;
+    const labels = {...translations.en, ...translations[lang], ...this.settings.labels};
+    return String(labels[key] ?? "").replace(/\{(\w+)\}/g, (match, name) => values[name] ?? match);
+  }
+
+  // Screen readers announce that a link leaves the page in a new window
+  appendNewWindowHint(link) {
+    const hint = document.createElement("span");
+    hint.className = "infinite-slider-visually-hidden";
+    hint.textContent = ` ${this.getLabel("newWindow")}`;
+    link.appendChild(hint);
+  }
+
+  isMobile() {
+    return window.innerWidth < this.settings.mobileBreakpoint;
+  }
+
+  /**
+   * Breakpoints
+   * Every minimum width the viewport has reached applies its overrides, smallest first.
+   * Crossing one re-resolves the settings and applies the difference without a rebuild.
+   **/
+  getActiveBreakpoint() {
+    const width = window.innerWidth;
+    const matching = Object.keys(this.baseSettings.breakpoints || {})
+      .map(Number)
+      .filter(minWidth => width >= minWidth);
+    return matching.length ? Math.max(...matching) : null;
+  }
+
+  resolveBreakpointSettings() {
+    const breakpoints = this.baseSettings.breakpoints || {};
+    const settings = {...this.baseSettings};
+
+    Object.keys(breakpoints)
+      .map(Number)
+      .filter(minWidth => minWidth <= this.activeBreakpoint)
+      .sort((a, b) => a - b)
+      .forEach(minWidth => Object.assign(settings, breakpoints[minWidth]));
+
+    return {...settings, ...this.overrides};
+  }
+
+  // Returns true when the settings changed (and the slider was updated for them)
+  updateBreakpoint() {
+    const breakpoint = this.getActiveBreakpoint();
+    const mobile = this.isMobile();
+    if (breakpoint === this.activeBreakpoint && mobile === this.wasMobile) return false;
+
+    const previous = this.settings;
+    this.activeBreakpoint = breakpoint;
+    this.settings = this.resolveBreakpointSettings();
+    this.wasMobile = this.isMobile();
+    const changed = key => JSON.stringify(previous[key]) !== JSON.stringify(this.settings[key]);
+
+    if (Object.keys(this.settings).some(key => changed(key) && !WMInfiniteSlider.liveSettings.includes(key))) {
+      this.rebuild();
+    } else {
+      if (changed("reverse")) {
+        this.rows.forEach(row => {
+          const position = this.getLoopPosition(row);
+          this.applyRowDirection(row);
+          this.setLoopPosition(row, position);
+        });
+      }
+      if (!this.settings.stopOnHover) this.setHold("hover", false);
+      this.applyFade();
+      this.updatePauseButton();
+      this.updateNavigation();
+      this.updateCustomCursor();
+
+      // Only a new row layout or caption content needs the slides rebuilt; speeds re-measure in place
+      if (changed("rows") || changed("rowSettings") || changed("captionFields")) {
+        this.resetSlider({rebuildRows: changed("rows") || changed("rowSettings")});
+      } else {
+        this.fitTracks();
+      }
+    }
+
+    WMInfiniteSlider.emitEvent(":breakpointChange", {el: this.el, instance: this, breakpoint}, this.el);
+    return true;
+  }
+
+  // Tear down and build again from the items already loaded, keeping an explicit user pause and the
+  // analytics already sent; site scripts see no :destroy/:afterInit, the instance lives on
+  rebuild() {
+    const userPaused = this.userPaused;
+    this.destroy({rebuild: true});
+    this.addDataAttribute();
+    this.build({rebuild: true});
+    if (userPaused) this.setPaused(true);
   }
 
+  /**
+   * Sources
+   * List sections carry their items as JSON; gallery sections and gallery blocks are read from
+   * their markup. Every adapter produces the list item model buildSlide consumes:
+   * {title, description, image: {assetUrl, originalSize, mediaFocalPoint}, button: {buttonLink, buttonNewWindow, buttonText}}
+   **/
   extractData() {
-    const container = this.el.querySelector(".user-items-list-item-container");
-    if (!container || !container.dataset.currentContext) {
-      console.error(`[${this.pluginName}] No data-current-context found`);
+    const listContainer = this.el.querySelector(".user-items-list-item-container");
+    if (listContainer && listContainer.dataset.currentContext) {
+      this.sourceType = "list";
+      this.extractListData(listContainer);
+      return;
+    }
+
+    const galleryItems = this.el.querySelectorAll(WMInfiniteSlider.gallerySectionItemSelector);
+    const galleryBlockItems = this.el.querySelectorAll(WMInfiniteSlider.galleryBlockItemSelector);
+    const items = galleryItems.length ? galleryItems : galleryBlockItems;
+    if (!items.length) {
+      if (!this.settings.source) {
+        console.error(`[${this.pluginName}] No list section, gallery section or gallery block found`);
+      }
       return;
     }
 
+    this.sourceType = galleryItems.length ? "gallery-section" : "gallery-block";
+    this.extractGalleryData(Array.from(items));
+  }
+
+  extractListData(container) {
     const contextData = JSON.parse(container.dataset.currentContext);
     this.originalContainer = container;
     this.data = contextData.userItems || [];
@@ -101,8 +652,156 @@ class WMInfiniteSlider {
     }
   }
 
+  extractGalleryData(elements) {
+    // Gallery markup has no list options; preserveStructure only applies to list sections
+    if (this.settings.preserveStructure) {
+      console.warn(`[${this.pluginName}] preserveStructure is only supported on list sections`);
+      this.overrides.preserveStructure = false;
+      this.settings.preserveStructure = false;
+    }
+
+    // Some gallery layouts repeat their images (e.g. for looping), so keep the first of each
+    const seen = new Set();
+    this.data = elements
+      .filter(element => !element.closest(".sqs-gallery-thumbnails"))
+      .map(element => this.readGalleryItem(element))
+      .filter(item => {
+        if (!item || seen.has(item.image.assetUrl)) return false;
+        seen.add(item.image.assetUrl);
+        return true;
+      });
+
+    this.originalContainer = this.getCommonContainer(elements);
+    this.options = {};
+    this.styles = {};
+    const title = this.el.querySelector(".gallery-section-title, .sqs-block-gallery h2");
+    this.sectionTitle = title ? title.textContent.trim() : null;
+    this.sectionButton = null;
+  }
+
+  readGalleryItem(element) {
+    const img = element.querySelector("img");
+    if (!img) return null;
+
+    const assetUrl = (img.dataset.src || img.dataset.image || img.getAttribute("src") || "").replace(/[?&]format=\d+w$/, "");
+    if (!assetUrl) return null;
+
+    const [x, y] = (img.dataset.imageFocalPoint || "").split(",").map(parseFloat);
+    const titleElement = element.querySelector(".image-slide-title, .meta-title, .gallery-caption-title");
+    const descriptionElement = element.querySelector(".gallery-caption-content, .image-slide-description, .meta-description");
+
+    // Lightbox triggers use hash or image hrefs; only real clickthrough URLs become buttons
+    const link = element.matches("a[href]") ? element : element.querySelector("a[href]");
+    const href = link?.getAttribute("href") || "";
+    const isClickthrough = href && !href.startsWith("#") && !/^javascript:/i.test(href) && href !== assetUrl && !link.hasAttribute("data-lightbox");
+
+    return {
+      title: titleElement ? titleElement.textContent.trim() : img.alt || "",
+      description: descriptionElement ? descriptionElement.innerHTML.trim() : "",
+      image: {
+        assetUrl,
+        originalSize: img.dataset.imageDimensions || "",
+        mediaFocalPoint: Number.isFinite(x) && Number.isFinite(y) ? {x, y} : null,
+      },
+      button: isClickthrough
+        ? {buttonLink: href, buttonNewWindow: link.target === "_blank", buttonText: link.textContent.trim()}
+        : null,
+    };
+  }
+
+  /**
+   * Collection feed source
+   * Squarespace collections (blog, products, events) return their items as JSON with ?format=json.
+   * Resolves false if the instance was destroyed while the request was in flight.
+   **/
+  getSourceUrl() {
+    const url = new URL(this.settings.source, window.location.href);
+
+    // Local .json files (e.g. test fixtures) stand in for the endpoint unchanged
+    if (!/\.json$/i.test(url.pathname)) {
+      url.searchParams.set("format", "json");
+      if (this.settings.sourceTag) url.searchParams.set("tag", this.settings.sourceTag);
+      if (this.settings.sourceCategory) url.searchParams.set("category", this.settings.sourceCategory);
+    }
+
+    return url.toString();
+  }
+
+  async loadSource() {
+    this.sourceController = new AbortController();
+    const {signal} = this.sourceController;
+
+    try {
+      const response = await fetch(this.getSourceUrl(), {signal, credentials: "same-origin"});
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const items = this.mapSourceItems(await response.json());
+      if (signal.aborted) return false;
+
+      if (items.length) {
+        this.data = items;
+        this.sourceLoaded = true;
+
+        // Feed items have no list markup of their own, so they are always built from scratch
+        this.originalSlides = [];
+        if (this.settings.preserveStructure) {
+          console.warn(`[${this.pluginName}] preserveStructure is ignored for items loaded from ${this.settings.source}`);
+          this.overrides.preserveStructure = false;
+          this.settings.preserveStructure = false;
+        }
+      } else {
+        console.warn(`[${this.pluginName}] No items with images in ${this.settings.source}, using the section's own items`);
+      }
+    } catch (error) {
+      if (signal.aborted) return false;
+      console.warn(`[${this.pluginName}] Could not load ${this.settings.source} (${error.message}), using the section's own items`);
+    }
+
+    this.sourceController = null;
+    return true;
+  }
+
+  mapSourceItems(json) {
+    // Collections list posts/products under items; events split them into upcoming and past
+    const entries = json?.items || [...(json?.upcoming || []), ...(json?.past || [])];
+    const matches = (values, wanted) => !wanted || (values || []).some(value => String(value).toLowerCase() === wanted.toLowerCase());
+
+    const items = entries
+      .filter(entry => entry.assetUrl)
+      .filter(entry => matches(entry.tags, this.settings.sourceTag) && matches(entry.categories, this.settings.sourceCategory))
+      .map(entry => ({
+        title: entry.title || "",
+        description: entry.excerpt || "",
+        image: {
+          assetUrl: entry.assetUrl,
+          originalSize: entry.originalSize || "",
+          mediaFocalPoint: entry.mediaFocalPoint || null,
+        },
+        button: entry.fullUrl ? {buttonLink: entry.fullUrl, buttonNewWindow: false, buttonText: ""} : null,
+      }));
+
+    const limit = parseInt(this.settings.sourceLimit, 10);
+    return limit > 0 ? items.slice(0, limit) : items;
+  }
+
+  // The smallest element holding every gallery item, hidden while the slider stands in for it
+  getCommonContainer(elements) {
+    let container = elements[0].parentElement;
+    while (container && container !== this.el && !elements.every(element => container.contains(element))) {
+      container = container.parentElement;
+    }
+    return container || this.el;
+  }
+
   removeOrHideOriginalListSectionContent() {
-    if (!this.originalContainer) return;
+    if (!this.originalContainer) {
+      // A source feed can fill a section that has no list or gallery of its own
+      if (this.settings.source) {
+        this.pluginContainer = document.createElement("div");
+        this.pluginContainer.classList.add("wm-plugin-container");
+        (this.el.querySelector(".content-wrapper") || this.el).appendChild(this.pluginContainer);
+      }
+      return;
+    }
 
     // Get section title and button elements
     const sectionTitle = this.el.querySelector(".list-section-title");
@@ -118,7 +817,8 @@ class WMInfiniteSlider {
     }
 
     // Create duplicate container for the plugin (Squarespace won't touch this one)
-    this.pluginContainer = this.originalContainer.cloneNode(false); // Shallow clone (no children)
+    // Gallery containers are laid out as grids by Squarespace's CSS, so those get a plain element
+    this.pluginContainer = this.sourceType === "list" ? this.originalContainer.cloneNode(false) : document.createElement("div"); // Shallow clone (no children)
     
     // Remove Squarespace controller attributes so it doesn't get manipulated
     this.pluginContainer.removeAttribute("data-controller");
@@ -143,14 +843,18 @@ class WMInfiniteSlider {
     // Create slider wrapper
     const sliderWrapper = document.createElement("div");
     sliderWrapper.className = "infinite-slider-wrapper";
-
-    // Create slider track (ul for Squarespace consistency)
-    const sliderTrack = document.createElement("ul");
-    sliderTrack.className = "infinite-slider-track";
-
-    // Apply reverse direction if enabled
-    if (this.settings.reverse) {
-      sliderTrack.dataset.reverse = "true";
+    sliderWrapper.setAttribute("role", "region");
+    sliderWrapper.setAttribute("aria-roledescription", this.getLabel("carousel"));
+    sliderWrapper.setAttribute("aria-label", this.getRegionLabel());
+
+    // Tracks get a viewport of their own so a mask fade leaves the controls in the wrapper untouched
+    const sliderViewport = document.createElement("div");
+    sliderViewport.className = "infinite-slider-viewport";
+    sliderWrapper.appendChild(sliderViewport);
+
+    // The JS engine replaces the keyframes and writes the transform itself
+    if (this.settings.engine === "js" || this.settings.scrollVelocity || this.isStepMode()) {
+      this.engine = {rafId: null, lastTime: null};
     }
 
     // Build initial slides - use preserved structure or build from scratch
@@ -176,50 +880,168 @@ class WMInfiniteSlider {
         // Calculate width as: min(var(--sqs-site-max-width), 100vw) / maxColumns
         this.el.style.setProperty("--system-item-width", `calc(min(var(--sqs-site-max-width, 1920px), 100vw) / ${maxColumns})`);
       }
+    } else if (this.settings.caption) {
+      this.el.dataset.caption = this.getCaptionPosition();
+    }
 
-      this.originalSlides.forEach((originalSlide, index) => {
-        const slide = this.cloneOriginalSlide(originalSlide, index);
-        sliderTrack.appendChild(slide);
-      });
-    } else {
-      this.data.forEach((item, index) => {
-        if (item.image) {
-          const slide = this.buildSlide(item, index);
-          sliderTrack.appendChild(slide);
+    const slides = this.buildSlides();
+    this.createRows(sliderViewport, slides.length);
+    this.distributeSlides(slides);
+    this.setupKeyboardNavigation();
+
+    customContent.appendChild(sliderWrapper);
+    this.pluginContainer.appendChild(customContent);
+
+    // Create custom cursor if enabled (desktop only)
+    this.updateCustomCursor();
+
+    const startMeasuring = () => {
+      this.loadImages(sliderWrapper);
+
+      // Wait for images to load before duplicating; each row is measured on its own
+      this.waitForImages(sliderWrapper).then(() => {
+        this.imagesLoaded = true;
+        this.rows.forEach(row => {
+          this.duplicateSlides(row.track);
+          this.calculateAnimation(row);
+          this.setLoopPosition(row, row.offset);
+
+          // Start at full speed rather than easing in on page load
+          row.velocity = this.getTargetVelocity(row);
+        });
+        this.startEngine();
+
+        // Edits to the list and breakpoints crossed before the slider was measured (e.g. while lazy loading) still apply
+        if (this.pendingSync) {
+          this.pendingSync = false;
+          this.syncData();
+        }
+
+        if (this.pendingReset) {
+          const options = this.pendingReset;
+          this.pendingReset = null;
+          this.resetSlider(options);
         }
       });
+    };
+
+    // Sliders further down the page don't download (or measure) anything until they're close
+    if (this.settings.lazyLoad && "IntersectionObserver" in window) {
+      this.lazyObserver = new IntersectionObserver(
+        entries => {
+          if (!entries.some(entry => entry.isIntersecting)) return;
+          this.lazyObserver.disconnect();
+          this.lazyObserver = null;
+          startMeasuring();
+        },
+        {rootMargin: this.settings.lazyLoadMargin}
+      );
+      this.lazyObserver.observe(sliderWrapper);
+    } else {
+      startMeasuring();
     }
+  }
 
-    sliderWrapper.appendChild(sliderTrack);
+  buildSlides() {
+    const count = this.isPreservingStructure() ? this.originalSlides.length : this.data.length;
+    return Array.from({length: count}, (_, index) => this.buildSlideAt(index)).filter(Boolean);
+  }
+
+  // Real (non-cloned) slides across all rows, in item order
+  getRealSlides() {
+    const slides = this.rows.flatMap(row => Array.from(row.track.children).filter(slide => !slide.classList.contains("cloned")));
+    return slides.sort((a, b) => a.dataset.index - b.dataset.index);
+  }
+
+  isPreservingStructure() {
+    return this.settings.preserveStructure && this.originalSlides.length > 0;
+  }
 
-    // WCAG 2.2.2 (Pause, Stop, Hide): add pause/play toggle when enabled
-    if (this.settings.pauseButton) {
-      sliderWrapper.appendChild(this.buildPauseButton());
+  buildSlideAt(index) {
+    const item = this.data[index];
+    let slide = null;
+    if (this.isPreservingStructure()) {
+      slide = this.cloneOriginalSlide(this.originalSlides[index], index);
+    } else if (this.hasSlideContent(item)) {
+      slide = this.buildSlide(item, index);
     }
 
-    customContent.appendChild(sliderWrapper);
-    this.pluginContainer.appendChild(customContent);
+    // Remember what each slide was built from, so live updates can reuse unchanged slides
+    if (slide) this.slideKeys.set(slide, this.getItemKey(index));
+    return slide;
+  }
 
-    // Create custom cursor if enabled (desktop only)
-    if (this.settings.customCursor && window.innerWidth >= 768) {
-      this.createCustomCursor();
+  getItemKey(index) {
+    return this.isPreservingStructure() ? this.originalSlides[index].outerHTML : JSON.stringify(this.data[index]);
+  }
+
+  createRows(sliderViewport, slideCount) {
+    // Never create more rows than there are slides to fill them
+    const rowCount = Math.max(1, Math.min(parseInt(this.settings.rows, 10) || 1, slideCount));
+    if (rowCount > 1) this.el.dataset.rows = rowCount;
+
+    this.rows = [];
+    for (let index = 0; index < rowCount; index++) {
+      const rowSettings = this.settings.rowSettings[index] || {};
+
+      // Create slider track (ul for Squarespace consistency)
+      // role="list" restores list semantics that Safari drops when list-style is none
+      const sliderTrack = document.createElement("ul");
+      sliderTrack.className = "infinite-slider-track";
+      sliderTrack.setAttribute("role", "list");
+      sliderTrack.dataset.row = index;
+      if (this.engine) sliderTrack.dataset.engine = "js";
+
+      const row = {
+        index,
+        track: sliderTrack,
+        // Odd rows run against the slider's direction by default for the alternating "logo wall" look
+        reverse: rowSettings.reverse ?? index % 2 === 1,
+        speed: rowSettings.speed ?? 1,
+        offset: rowSettings.offset ?? 0,
+        distance: 0, // Measured width of one set of original slides (px)
+        stops: [], // Offset of each original slide along the loop (px), for "step" mode
+        position: 0, // Engine offset along the loop (px)
+        velocity: 0, // Engine velocity (px/s)
+        stepPhase: "dwell", // "dwell" or "move" ("step" mode)
+        stepTime: 0, // Seconds spent in the current step phase
+        stepFrom: 0, // Position the current move started at (px)
+        stepBy: 0, // Signed length of the current move (px)
+      };
+
+      this.applyRowDirection(row);
+      this.rows.push(row);
+      sliderViewport.appendChild(sliderTrack);
     }
+  }
 
-    // Wait for images to load before duplicating
-    this.waitForImages(sliderTrack).then(() => {
-      this.imagesLoaded = true;
-      this.duplicateSlides(sliderTrack);
-      this.calculateAnimation(sliderTrack);
+  distributeSlides(slides) {
+    // Deal slides round-robin so every row gets a similar mix of items
+    slides.forEach((slide, index) => {
+      this.rows[index % this.rows.length].track.appendChild(slide);
     });
   }
 
+  isRowReversed(row) {
+    return this.settings.reverse !== row.reverse;
+  }
+
+  applyRowDirection(row) {
+    if (this.isRowReversed(row)) {
+      row.track.dataset.reverse = "true";
+    } else {
+      delete row.track.dataset.reverse;
+    }
+  }
+
   buildSlide(item, index) {
     const slide = document.createElement("li");
     slide.className = "infinite-slider-item";
     slide.dataset.index = index;
 
-    // Determine if this item should be clickable
-    const hasLink = this.settings.allowClickthrough && item.button && item.button.buttonLink;
+    // Determine if this item should be clickable (a button link that is the video itself isn't a link)
+    const video = this.getItemVideo(item);
+    const hasLink = this.settings.allowClickthrough && item.button && item.button.buttonLink && video?.origin !== "button";
 
     // Create wrapper (either <a> or <div>)
     let imageWrapper;
@@ -237,23 +1059,190 @@ class WMInfiniteSlider {
       imageWrapper.className = "infinite-slider-image";
     }
 
-    const img = document.createElement("img");
-    img.src = item.image.assetUrl;
-    img.alt = item.title || "";
-    img.loading = "eager"; // Load immediately for accurate measurements
+    const media = video ? this.buildVideo(video, item) : this.buildImage(item);
 
     // Set focal point if available
-    if (item.image.mediaFocalPoint) {
+    if (item.image?.mediaFocalPoint) {
       const {x, y} = item.image.mediaFocalPoint;
-      img.style.objectPosition = `${x * 100}% ${y * 100}%`;
+      media.style.objectPosition = `${x * 100}% ${y * 100}%`;
     }
 
-    imageWrapper.appendChild(img);
+    imageWrapper.appendChild(media);
+    if (imageWrapper.target === "_blank") this.appendNewWindowHint(imageWrapper);
     slide.appendChild(imageWrapper);
 
+    // Caption is a sibling of the image so its button never nests inside a clickthrough link
+    if (this.settings.caption) {
+      const caption = this.buildCaption(item);
+      if (caption) slide.appendChild(caption);
+    }
+
+    if (this.hasLightbox()) {
+      this.setupLightboxTrigger(imageWrapper, item);
+    }
+
     return slide;
   }
 
+  buildImage(item) {
+    const img = document.createElement("img");
+    img.dataset.src = item.image.assetUrl; // Swapped in by loadImages
+    const srcset = this.getImageSrcset(item.image);
+    if (srcset) img.dataset.srcset = srcset;
+    img.alt = item.title || "";
+    img.loading = "eager"; // Load as soon as the source is set, for accurate measurements
+    return img;
+  }
+
+  /**
+   * Video slides
+   * Muted, inline, looping clips. Originals load their metadata with the images so they can be
+   * measured; clones only get a source once they scroll near view, so they don't all decode at once.
+   **/
+  getItemVideo(item) {
+    if (!item) return null;
+    const isVideoUrl = url => /\.(mp4|webm|ogv|mov|m4v|m3u8)(?:[?#]|$)/i.test(url || "");
+
+    let src = null;
+    let origin = null;
+    const hosted = item.video && (item.video.assetUrl || item.video.url);
+    if (hosted) {
+      src = hosted;
+      origin = "hosted";
+    } else if (isVideoUrl(item.button?.buttonLink)) {
+      src = item.button.buttonLink;
+      origin = "button";
+    } else {
+      const template = document.createElement("template");
+      template.innerHTML = item.description || "";
+      const link = Array.from(template.content.querySelectorAll("a[href]")).find(a => isVideoUrl(a.getAttribute("href")));
+      const text = template.content.textContent.match(/https?:\/\/\S+/g)?.find(isVideoUrl);
+      src = link?.getAttribute("href") || text || null;
+      origin = src ? "description" : null;
+    }
+    if (!src) return null;
+
+    const posterUrl = item.image?.assetUrl || item.video?.posterUrl || item.video?.thumbnailUrl || null;
+    const separator = posterUrl?.includes("?") ? "&" : "?";
+    return {src, origin, poster: posterUrl ? `${posterUrl}${separator}format=750w` : null};
+  }
+
+  hasSlideContent(item) {
+    return !!(item && (item.image || this.getItemVideo(item)));
+  }
+
+  buildVideo(video, item) {
+    const element = document.createElement("video");
+    element.dataset.src = video.src; // Swapped in by loadImages (originals) or once near view (clones)
+    if (video.poster) element.poster = video.poster;
+
+    // Autoplay policies require muted + inline; attributes too, so clones keep them
+    element.muted = true;
+    element.setAttribute("muted", "");
+    element.setAttribute("playsinline", "");
+    element.loop = true;
+    element.preload = "metadata";
+    element.disablePictureInPicture = true;
+    element.setAttribute("aria-label", item.title || "");
+    return element;
+  }
+
+  // Clones start without a source; the video observer gives them one when they come near view
+  resetCloneVideos(clone) {
+    clone.querySelectorAll("video[data-src]").forEach(video => {
+      video.removeAttribute("src");
+      video.preload = "none";
+    });
+  }
+
+  observeVideos(container) {
+    const videos = container.querySelectorAll("video");
+    if (!videos.length) return;
+
+    if (!this.videoObserver) {
+      if (!("IntersectionObserver" in window)) {
+        videos.forEach(video => this.showVideo(video, true));
+        this.syncVideos();
+        return;
+      }
+
+      const sliderWrapper = this.el.querySelector(".infinite-slider-wrapper");
+      this.videoObserver = new IntersectionObserver(
+        entries => {
+          entries.forEach(entry => this.showVideo(entry.target, entry.isIntersecting));
+          this.syncVideos();
+        },
+        {root: sliderWrapper, rootMargin: this.isVertical() ? "25% 0px" : "0px 25%"}
+      );
+    }
+
+    videos.forEach(video => this.videoObserver.observe(video));
+  }
+
+  showVideo(video, visible) {
+    if (!visible) {
+      this.visibleVideos.delete(video);
+      video.pause();
+      return;
+    }
+
+    if (!video.getAttribute("src") && video.dataset.src) {
+      video.preload = "metadata";
+      video.src = video.dataset.src;
+    }
+    this.visibleVideos.add(video);
+  }
+
+  // Visible videos play unless the slider is paused by the user, off-screen, a hidden tab or the lightbox
+  syncVideos() {
+    const paused = WMInfiniteSlider.videoHolds.some(reason => this.pauseHolds.has(reason));
+    this.visibleVideos.forEach(video => {
+      if (!video.isConnected) {
+        this.visibleVideos.delete(video);
+      } else if (paused) {
+        video.pause();
+      } else {
+        video.play()?.catch(() => {});
+      }
+    });
+  }
+
+  buildCaption(item) {
+    const caption = document.createElement("div");
+    caption.className = "infinite-slider-caption";
+
+    this.settings.captionFields.forEach(field => {
+      if (field === "title" && item.title) {
+        const title = document.createElement("h3");
+        title.className = "infinite-slider-caption-title";
+        title.textContent = item.title;
+        caption.appendChild(title);
+      }
+
+      if (field === "description" && item.description) {
+        const description = document.createElement("div");
+        description.className = "infinite-slider-caption-description";
+        description.innerHTML = this.sanitizeHtml(item.description);
+        if (description.textContent.trim()) caption.appendChild(description);
+      }
+
+      if (field === "button" && item.button && item.button.buttonLink && item.button.buttonText) {
+        const button = document.createElement("a");
+        button.className = "infinite-slider-caption-button";
+        button.href = item.button.buttonLink;
+        button.textContent = item.button.buttonText;
+        if (item.button.buttonNewWindow) {
+          button.target = "_blank";
+          button.rel = "noopener noreferrer";
+          this.appendNewWindowHint(button);
+        }
+        caption.appendChild(button);
+      }
+    });
+
+    return caption.children.length ? caption : null;
+  }
+
   cloneOriginalSlide(originalSlide, index) {
     // Deep clone the original slide element
     const slide = originalSlide.cloneNode(true);
@@ -279,23 +1268,13 @@ class WMInfiniteSlider {
       }
     }
 
-    // Add clickthrough behavior for preserved mode
-    if (this.settings.allowClickthrough) {
-      const buttonLink = itemData?.button?.buttonLink;
-      
-      if (buttonLink) {
-        slide.style.cursor = "pointer";
-        slide.addEventListener("click", (e) => {
-          // Don't intercept clicks on existing links
-          if (e.target.closest("a")) return;
-          
-          if (itemData.button.buttonNewWindow) {
-            window.open(buttonLink, "_blank", "noopener,noreferrer");
-          } else {
-            window.location.href = buttonLink;
-          }
-        });
-      }
+    if (this.hasLightbox()) {
+      this.setupLightboxTrigger(slide, itemData);
+    }
+
+    // Clickthrough for preserved mode is handled by followItemLink, so every copy responds
+    if (this.settings.allowClickthrough && itemData?.button?.buttonLink) {
+      slide.style.cursor = "pointer";
     }
 
     // Wrap in <li> if the original isn't already an li (for ul consistency)
@@ -328,12 +1307,9 @@ class WMInfiniteSlider {
       }
     });
 
-    // Load images immediately (change data-load to true or convert data-src to src)
+    // Load images eagerly once loadImages converts data-src to src
     const images = slide.querySelectorAll("img[data-src]");
     images.forEach(img => {
-      if (img.dataset.src && !img.src) {
-        img.src = img.dataset.src;
-      }
       img.setAttribute("data-load", "true");
       img.loading = "eager";
     });
@@ -346,6 +1322,93 @@ class WMInfiniteSlider {
     });
   }
 
+  getImageSrcset(image) {
+    // Squarespace CDN assets resize server-side with ?format=NNNw; skip widths larger than the original
+    const url = image.assetUrl;
+    if (!url) return "";
+
+    const originalWidth = parseInt(String(image.originalSize || "").split("x")[0], 10) || Infinity;
+    const separator = url.includes("?") ? "&" : "?";
+
+    const candidates = WMInfiniteSlider.imageWidths
+      .filter(width => width <= originalWidth)
+      .map(width => `${url}${separator}format=${width}w ${width}w`);
+
+    // Offer the original itself when it falls between two of the fixed widths
+    if (Number.isFinite(originalWidth) && !WMInfiniteSlider.imageWidths.includes(originalWidth)) {
+      candidates.push(`${url} ${originalWidth}w`);
+    }
+
+    return candidates.join(", ");
+  }
+
+  getImageAspectRatio(img) {
+    // Prefer the --aspect-ratio the slide renders at, then the original image dimensions
+    const imageWrapper = img.closest(".infinite-slider-image");
+    const rendered = imageWrapper ? getComputedStyle(imageWrapper).aspectRatio : "";
+    const match = /([\d.]+)\s*(?:\/\s*([\d.]+))?/.exec(rendered || "");
+    if (match && !rendered.startsWith("auto")) {
+      return parseFloat(match[1]) / (parseFloat(match[2]) || 1);
+    }
+
+    const slide = img.closest("[data-index]");
+    const originalSize = slide && this.data[slide.dataset.index]?.image?.originalSize;
+    const [width, height] = String(originalSize || "").split("x").map(Number);
+    return width && height ? width / height : null;
+  }
+
+  updateImageSizes(container) {
+    // sizes = the width each image renders at (slide height x aspect ratio), so the browser
+    // picks a srcset candidate for a short strip rather than the full-resolution original
+    const images = container.querySelectorAll("img[data-srcset]");
+    if (!images.length) return;
+
+    const imageWrapper = container.querySelector(".infinite-slider-image");
+    if (!imageWrapper) return;
+
+    // Vertical columns render every image at the column width
+    if (this.isVertical()) {
+      const width = imageWrapper.clientWidth;
+      if (!width) return;
+      images.forEach(img => {
+        img.sizes = `${Math.ceil(width)}px`;
+      });
+      return;
+    }
+
+    const height = imageWrapper.clientHeight;
+    if (!height) return;
+
+    images.forEach(img => {
+      const ratio = this.getImageAspectRatio(img);
+      if (ratio) img.sizes = `${Math.ceil(height * ratio)}px`;
+    });
+  }
+
+  loadImages(container) {
+    // Images are built with data-src so nothing downloads before the slider is near the viewport
+    this.updateImageSizes(container);
+
+    const images = container.querySelectorAll("img[data-src]");
+    images.forEach(img => {
+      if (img.dataset.srcset && !img.getAttribute("srcset")) {
+        img.srcset = img.dataset.srcset;
+      }
+      if (!img.getAttribute("src")) {
+        img.src = img.dataset.src;
+      }
+    });
+
+    // Original videos load their metadata now so they can be measured; clones wait until near view
+    container.querySelectorAll("video[data-src]").forEach(video => {
+      if (!video.closest(".cloned") && !video.getAttribute("src")) {
+        video.src = video.dataset.src;
+      }
+    });
+    this.observeVideos(container);
+    this.observeItems(container);
+  }
+
   waitForImages(container) {
     const images = Array.from(container.querySelectorAll("img"));
 
@@ -359,7 +1422,19 @@ class WMInfiniteSlider {
       });
     });
 
-    return Promise.all(imagePromises);
+    // Videos size themselves once their metadata (dimensions) is in
+    const videos = Array.from(container.querySelectorAll("video[src]"));
+    const videoPromises = videos.map(video => {
+      if (video.readyState >= 1) {
+        return Promise.resolve();
+      }
+      return new Promise(resolve => {
+        video.addEventListener("loadedmetadata", resolve, {once: true});
+        video.addEventListener("error", resolve, {once: true});
+      });
+    });
+
+    return Promise.all([...imagePromises, ...videoPromises]);
   }
 
   duplicateSlides(sliderTrack) {
@@ -372,12 +1447,11 @@ class WMInfiniteSlider {
       this.setPreserveStructureWidths(originalSlides, sliderTrack);
     }
 
-    // Calculate how many duplications we need
-    const viewportWidth = window.innerWidth;
-    const trackWidth = sliderTrack.scrollWidth;
+    // Calculate how many duplications we need (along the scroll axis)
+    const trackSize = this.isVertical() ? sliderTrack.scrollHeight : sliderTrack.scrollWidth;
 
-    // Loop guard: If the track is hidden (width 0), defer duplication until it's visible
-    if (trackWidth === 0) {
+    // Loop guard: If the track is hidden (size 0), defer duplication until it's visible
+    if (trackSize === 0) {
       const attempts = parseInt(sliderTrack.dataset.duplicationAttempts || "0", 10);
       if (attempts > 100) {
         console.warn(`[${this.pluginName}] Unable to measure slider track width after multiple attempts.`);
@@ -389,16 +1463,73 @@ class WMInfiniteSlider {
     }
     delete sliderTrack.dataset.duplicationAttempts;
 
-    // Ensure at least 3x viewport coverage for seamless loop
-    const duplications = Math.max(2, Math.ceil((viewportWidth * 3) / trackWidth));
+    this.addCloneSets(sliderTrack, originalSlides, this.getCloneSetCount(sliderTrack, trackSize));
+  }
+
+  // Ensure at least 3x coverage of the visible area for a seamless loop
+  getCloneSetCount(sliderTrack, setSize) {
+    const sliderViewport = sliderTrack.parentElement;
+    const viewportSize = this.isVertical()
+      ? sliderViewport?.clientHeight || window.innerHeight
+      : sliderViewport?.clientWidth || window.innerWidth;
+    return Math.max(2, Math.ceil((viewportSize * 3) / setSize));
+  }
 
-    for (let i = 0; i < duplications; i++) {
+  addCloneSets(sliderTrack, originalSlides, count) {
+    for (let i = 0; i < count; i++) {
       originalSlides.forEach(slide => {
         const clone = slide.cloneNode(true);
         clone.classList.add("cloned");
+        this.hideClone(clone);
+        this.resetCloneVideos(clone);
         sliderTrack.appendChild(clone);
       });
     }
+    this.observeVideos(sliderTrack);
+    this.observeItems(sliderTrack);
+  }
+
+  // Re-measure a running track after a resize: adjust only the clone sets and keep the loop's progress
+  fitTrack(row) {
+    const sliderTrack = row.track;
+    if (!sliderTrack.dataset.initialized) return;
+
+    const position = this.getLoopPosition(row);
+    const originalSlides = Array.from(sliderTrack.children).filter(slide => !slide.classList.contains("cloned"));
+    const clones = Array.from(sliderTrack.querySelectorAll(":scope > .cloned"));
+
+    if (this.settings.preserveStructure) {
+      this.setPreserveStructureWidths([...originalSlides, ...clones], sliderTrack);
+    }
+    this.updateImageSizes(sliderTrack);
+
+    this.calculateAnimation(row);
+    if (!row.distance) return;
+
+    const needed = this.getCloneSetCount(sliderTrack, row.distance);
+    const current = Math.round(clones.length / originalSlides.length);
+    if (needed > current) {
+      this.addCloneSets(sliderTrack, originalSlides, needed - current);
+    } else if (needed < current) {
+      clones.slice(needed * originalSlides.length).forEach(clone => clone.remove());
+    }
+
+    this.setLoopPosition(row, position);
+  }
+
+  fitTracks() {
+    this.rows.forEach(row => this.fitTrack(row));
+    this.startEngine();
+  }
+
+  hideClone(clone) {
+    // Clones are visual repeats only: hide them from assistive technology and the tab order.
+    // (Not the inert attribute - that would also block the clicks and hovers clones must keep.)
+    clone.setAttribute("aria-hidden", "true");
+    clone.querySelectorAll(WMInfiniteSlider.focusableSelector).forEach(el => {
+      el.tabIndex = -1;
+    });
+    if (clone.hasAttribute("tabindex")) clone.tabIndex = -1;
   }
 
   setPreserveStructureWidths(slides, sliderTrack) {
@@ -479,19 +1610,23 @@ class WMInfiniteSlider {
     return Math.min(maxColumns, 6);
   }
 
-  calculateAnimation(sliderTrack) {
+  calculateAnimation(row) {
+    const sliderTrack = row.track;
+
     // Force reflow for accurate measurements
     sliderTrack.offsetHeight;
 
     const originalSlides = Array.from(sliderTrack.children).filter(s => !s.classList.contains("cloned"));
     const gap = parseFloat(getComputedStyle(sliderTrack).gap || 0);
 
-    // Calculate the width of one set of original slides
+    // Calculate the length of one set of original slides (width, or height when vertical)
+    const vertical = this.isVertical();
     let scrollDistance = 0;
-    originalSlides.forEach(slide => {
-      scrollDistance += slide.offsetWidth;
+    row.stops = originalSlides.map(slide => {
+      const stop = scrollDistance;
+      scrollDistance += (vertical ? slide.offsetHeight : slide.offsetWidth) + gap;
+      return stop;
     });
-    scrollDistance += gap * originalSlides.length;
 
     // Loop guard: Ensure we have a valid scroll distance
     if (scrollDistance === 0) {
@@ -499,57 +1634,543 @@ class WMInfiniteSlider {
       return;
     }
 
-    // Determine speed based on viewport (settings control calculation logic only)
-    const isMobile = window.innerWidth < 768;
-    const speed = isMobile ? this.settings.speedMobile : this.settings.speedDesktop;
+    // Determine speed based on viewport and the row's multiplier (settings control calculation logic only)
+    const speed = this.getBaseSpeed() * row.speed;
 
     // Calculate duration (distance / speed)
     const duration = scrollDistance / speed;
 
+    row.distance = scrollDistance;
+
     // ONLY set runtime-calculated values that can't be predetermined
-    // These are computed measurements, not styling preferences
-    this.el.style.setProperty("--scroll-distance", `-${scrollDistance}px`);
-    this.el.style.setProperty("--scroll-duration", `${duration}s`);
+    // These are computed measurements, not styling preferences (per track, as rows differ)
+    sliderTrack.style.setProperty("--scroll-distance", `-${scrollDistance}px`);
+    sliderTrack.style.setProperty("--scroll-duration", `${duration}s`);
 
     // Mark as initialized
     sliderTrack.dataset.initialized = "true";
   }
 
-  resetSlider() {
-    if (!this.imagesLoaded) return;
+  getBaseSpeed() {
+    return this.isMobile() ? this.settings.speedMobile : this.settings.speedDesktop;
+  }
+
+  getTrackAnimation(sliderTrack) {
+    // The keyframe loop is exposed through the Web Animations API, which lets us read and seek it
+    if (typeof sliderTrack.getAnimations !== "function") return null;
+    return sliderTrack.getAnimations().find(animation => animation.animationName?.startsWith("scroll-infinite")) || null;
+  }
 
-    const sliderTrack = this.el.querySelector(".infinite-slider-track");
-    if (!sliderTrack || !sliderTrack.dataset.initialized) return;
+  getLoopPosition(row) {
+    // Fraction (0-1) of the row's scroll distance travelled, independent of direction
+    if (this.engine) {
+      return row.distance ? row.position / row.distance : 0;
+    }
 
-    // Clear all slides (both original and clones)
-    sliderTrack.innerHTML = "";
-    
-    // Rebuild slides from source of truth
-    if (this.settings.preserveStructure && this.originalSlides.length > 0) {
-      this.originalSlides.forEach((originalSlide, index) => {
-        const slide = this.cloneOriginalSlide(originalSlide, index);
-        sliderTrack.appendChild(slide);
+    const animation = this.getTrackAnimation(row.track);
+    const progress = animation?.effect?.getComputedTiming().progress;
+    if (progress == null) return 0;
+    return row.track.dataset.reverse === "true" ? 1 - progress : progress;
+  }
+
+  setLoopPosition(row, position) {
+    const wrapped = ((position % 1) + 1) % 1;
+
+    if (this.engine) {
+      row.position = wrapped * row.distance;
+      this.renderEngine(row);
+      if (row === this.rows[0]) this.updateIndicator();
+      return;
+    }
+
+    const animation = this.getTrackAnimation(row.track);
+    const duration = animation?.effect?.getComputedTiming().duration;
+    if (!duration) return;
+
+    const progress = row.track.dataset.reverse === "true" ? 1 - wrapped : wrapped;
+    animation.currentTime = progress * duration;
+    if (row === this.rows[0]) this.updateIndicator();
+  }
+
+  /**
+   * JS animation engine
+   * Moves the track by velocity (px/s) each frame and eases the velocity towards a target,
+   * so pausing, hovering and speed/direction changes glide instead of stopping dead.
+   **/
+  getTargetVelocity(row) {
+    // Any hold other than hover brings the track to a stop
+    for (const reason of this.pauseHolds) {
+      if (reason !== "hover") return 0;
+    }
+
+    // Scroll boost is signed: scrolling up pushes against the row's direction
+    let speed = this.getBaseSpeed() * row.speed + this.scrollBoost;
+    if (this.pauseHolds.has("hover")) speed *= this.settings.hoverSpeed;
+
+    // Match the CSS reduced-motion treatment (3x slower)
+    if (window.matchMedia?.("(prefers-reduced-motion: reduce)").matches) speed /= 3;
+
+    return this.isRowReversed(row) ? -speed : speed;
+  }
+
+  startEngine() {
+    if (!this.engine || this.engine.rafId) return;
+    this.engine.lastTime = null;
+    this.engine.rafId = requestAnimationFrame(now => this.tickEngine(now));
+  }
+
+  tickEngine(now) {
+    const engine = this.engine;
+    if (!engine) return;
+
+    engine.rafId = null;
+
+    // Dragging positions the tracks directly; the engine wakes up again on release
+    // (and in "step" mode moves straight on to the next item from wherever it was dropped)
+    if (this.pauseHolds.has("drag")) {
+      this.rows.forEach(row => {
+        row.velocity = 0;
+        row.stepPhase = "dwell";
+        row.stepTime = Infinity;
+      });
+      return;
+    }
+
+    // Off-screen or in a hidden tab: sleep without easing, and carry on at the same speed on return
+    if (this.pauseHolds.has("offscreen") || this.pauseHolds.has("hidden")) return;
+
+    // Clamp elapsed time so a backgrounded tab doesn't jump on return
+    const elapsed = engine.lastTime === null ? 0 : Math.min((now - engine.lastTime) / 1000, 0.1);
+    engine.lastTime = now;
+
+    // Let the scroll boost die away once the page stops scrolling
+    if (this.scrollBoost) {
+      this.scrollBoost *= Math.exp(-elapsed / 0.3);
+      if (Math.abs(this.scrollBoost) < 1) this.scrollBoost = 0;
+    }
+
+    // Exponential ease towards the target; easeDuration is roughly the time to get there
+    const easeDuration = this.settings.easeDuration;
+    const factor = easeDuration > 0 ? 1 - Math.exp((-3 * elapsed) / easeDuration) : 1;
+    let moving = false;
+
+    this.rows.forEach(row => {
+      if (this.isStepMode()) {
+        if (this.tickStep(row, elapsed)) moving = true;
+        return;
+      }
+
+      const target = this.getTargetVelocity(row);
+      row.velocity += (target - row.velocity) * factor;
+      if (target === 0 && Math.abs(row.velocity) < 0.5) row.velocity = 0;
+
+      if (row.velocity !== 0 && row.distance) {
+        row.position = (((row.position + row.velocity * elapsed) % row.distance) + row.distance) % row.distance;
+        this.renderEngine(row);
+      }
+
+      if (row.velocity !== 0 || target !== 0) moving = true;
+    });
+    this.updateIndicator();
+
+    // Go idle once every row has stopped; setHold, setSpeed and setDirection wake the engine again
+    if (!moving) return;
+
+    engine.rafId = requestAnimationFrame(time => this.tickEngine(time));
+  }
+
+  /**
+   * Step mode
+   * A ticker: hold on an item for stepDwell, then move exactly one item (using the slide sizes
+   * measured in calculateAnimation) over stepDuration. Any hold, hover included, stops the clock.
+   **/
+  isStepMode() {
+    return this.settings.mode === "step";
+  }
+
+  // Returns true while the row still needs frames
+  tickStep(row, elapsed) {
+    if (!row.distance || !row.stops.length) return false;
+    if (this.pauseHolds.size > 0) return false;
+
+    row.stepTime += elapsed;
+
+    if (row.stepPhase === "dwell") {
+      // Faster rows (rowSettings speed) dwell for less time
+      if (row.stepTime < this.settings.stepDwell / (row.speed || 1)) return true;
+
+      row.stepPhase = "move";
+      row.stepTime = 0;
+      row.stepFrom = row.position;
+      row.stepBy = this.getStepDistance(row, this.isRowReversed(row) ? -1 : 1);
+    }
+
+    // Reduced motion steps straight to the next item, like nudge
+    const reducedMotion = window.matchMedia?.("(prefers-reduced-motion: reduce)").matches;
+    const duration = reducedMotion ? 0 : this.settings.stepDuration;
+    const ease = WMInfiniteSlider.easings[this.settings.stepEasing] || WMInfiniteSlider.easings["ease-in-out"];
+    const progress = duration > 0 ? Math.min(1, row.stepTime / duration) : 1;
+    const position = row.stepFrom + row.stepBy * ease(progress);
+    row.position = ((position % row.distance) + row.distance) % row.distance;
+    this.renderEngine(row);
+
+    if (progress >= 1) {
+      row.stepPhase = "dwell";
+      row.stepTime = 0;
+    }
+    return true;
+  }
+
+  // Distance to the next item start in the given direction, wrapping into the duplicated set
+  // (row only needs stops, distance and position, so callers can pass a position of their own)
+  getStepDistance(row, direction) {
+    const {stops, distance, position} = row;
+    const tolerance = 0.5;
+
+    if (direction > 0) {
+      const next = stops.find(stop => stop > position + tolerance);
+      return (next ?? distance + stops[0]) - position;
+    }
+
+    const previous = stops.slice().reverse().find(stop => stop < position - tolerance);
+    return (previous ?? stops[stops.length - 1] - distance) - position;
+  }
+
+  /**
+   * Previous/next controls and position indicator
+   * Nudges hold the animation ("nav"), move every row by whole items along its own direction,
+   * then let autoplay resume. Work in both the CSS and the "js" engine through the loop position.
+   **/
+  buildNavButtons(sliderWrapper) {
+    const controls = document.createElement("div");
+    controls.className = "infinite-slider-nav";
+    controls.innerHTML = `
+      <button type="button" class="infinite-slider-nav-button infinite-slider-nav-prev" aria-label="${this.escapeHtml(this.getLabel("previous"))}">
+        <svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg" aria-hidden="true" focusable="false"><polyline points="15,5 8,12 15,19"/></svg>
+      </button>
+      <button type="button" class="infinite-slider-nav-button infinite-slider-nav-next" aria-label="${this.escapeHtml(this.getLabel("next"))}">
+        <svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg" aria-hidden="true" focusable="false"><polyline points="9,5 16,12 9,19"/></svg>
+      </button>`;
+
+    controls.querySelector(".infinite-slider-nav-prev").addEventListener("click", () => this.nudge(-1));
+    controls.querySelector(".infinite-slider-nav-next").addEventListener("click", () => this.nudge(1));
+    sliderWrapper.appendChild(controls);
+  }
+
+  // Positive steps move along each row's direction of travel, negative steps against it
+  nudge(steps) {
+    const rows = this.rows.filter(row => row.distance && row.stops.length);
+    if (!rows.length || !steps) return;
+
+    this.stopNudge();
+    this.setHold("nav", true);
+
+    const moves = rows.map(row => {
+      row.velocity = 0;
+      const from = this.getLoopPosition(row) * row.distance;
+      const direction = (this.isRowReversed(row) ? -1 : 1) * Math.sign(steps);
+      // Count from the start of the item at the leading edge, so "previous" skips the partly shown one
+      let position = from - (((from % row.distance) + row.distance) % row.distance) + row.stops[this.getLeadingIndex(row)];
+      for (let i = 0; i < Math.abs(steps); i++) {
+        const wrapped = ((position % row.distance) + row.distance) % row.distance;
+        position += this.getStepDistance({stops: row.stops, distance: row.distance, position: wrapped}, direction);
+      }
+      return {row, from, by: position - from};
+    });
+
+    const reducedMotion = window.matchMedia?.("(prefers-reduced-motion: reduce)").matches;
+    const duration = reducedMotion ? 0 : this.settings.stepDuration * 1000;
+    const ease = WMInfiniteSlider.easings[this.settings.stepEasing] || WMInfiniteSlider.easings["ease-in-out"];
+    const start = performance.now();
+
+    const frame = now => {
+      const progress = duration > 0 ? Math.min(1, (now - start) / duration) : 1;
+      moves.forEach(({row, from, by}) => this.setLoopPosition(row, (from + by * ease(progress)) / row.distance));
+
+      if (progress < 1) {
+        this.nudgeFrame = requestAnimationFrame(frame);
+        return;
+      }
+
+      // Step mode dwells on the item it was nudged to before ticking on
+      this.nudgeFrame = null;
+      moves.forEach(({row}) => {
+        row.stepPhase = "dwell";
+        row.stepTime = 0;
+      });
+      this.setHold("nav", false);
+
+      // Every copy the track moved past is aria-hidden, so say where it stopped
+      const count = parseInt(this.rows[0].track.dataset.originalCount, 10);
+      this.announce(this.getLabel("item", {index: this.getLeadingIndex() + 1, count}));
+    };
+
+    this.nudgeFrame = requestAnimationFrame(frame);
+  }
+
+  stopNudge() {
+    if (this.nudgeFrame) {
+      cancelAnimationFrame(this.nudgeFrame);
+      this.nudgeFrame = null;
+    }
+  }
+
+  // Index (within the row's original slides) of the item at the leading edge
+  getLeadingIndex(row = this.rows[0]) {
+    if (!row || !row.distance || !row.stops.length) return 0;
+
+    const position = this.getLoopPosition(row) * row.distance;
+    // Just short of a full loop is the first item again
+    if (row.distance - position < 1) return 0;
+
+    let index = 0;
+    row.stops.forEach((stop, stopIndex) => {
+      if (stop <= position + 1) index = stopIndex;
+    });
+    return index;
+  }
+
+  // Add or remove the buttons and indicator to match the settings (breakpoints can change them)
+  updateNavigation() {
+    const sliderWrapper = this.el.querySelector(".infinite-slider-wrapper");
+    if (!sliderWrapper) return;
+
+    const nav = sliderWrapper.querySelector(":scope > .infinite-slider-nav");
+    if (this.settings.navButtons && !nav) {
+      this.buildNavButtons(sliderWrapper);
+    } else if (!this.settings.navButtons && nav) {
+      nav.remove();
+    }
+
+    const type = this.settings.indicator ? (this.settings.indicator === "dots" ? "dots" : "bar") : null;
+    if (this.indicator && this.indicator.type !== type) this.removeIndicator();
+    if (type && !this.indicator) this.buildIndicator(sliderWrapper);
+
+    // Live region for announce; it has to be in the page before the first message to be read out
+    const liveRegion = sliderWrapper.querySelector(":scope > .infinite-slider-live");
+    if ((this.settings.navButtons || type) && !liveRegion) {
+      const region = document.createElement("div");
+      region.className = "infinite-slider-live infinite-slider-visually-hidden";
+      region.setAttribute("aria-live", "polite");
+      region.setAttribute("aria-atomic", "true");
+      sliderWrapper.appendChild(region);
+    } else if (!this.settings.navButtons && !type && liveRegion) {
+      liveRegion.remove();
+    }
+  }
+
+  announce(message) {
+    const region = this.el.querySelector(".infinite-slider-live");
+    if (region) region.textContent = message;
+  }
+
+  buildIndicator(sliderWrapper) {
+    const type = this.settings.indicator === "dots" ? "dots" : "bar";
+    const element = document.createElement("div");
+    element.className = "infinite-slider-indicator";
+    element.dataset.type = type;
+    sliderWrapper.appendChild(element);
+
+    this.indicator = {element, type, index: null, count: 0, timer: null};
+    this.renderIndicator();
+    this.syncIndicatorTimer();
+  }
+
+  // The CSS animation has no per-frame hook, so poll while it runs (the DOM only changes when the item
+  // does); the "js" engine updates from tickEngine, and seeks (drag, nudge) through setLoopPosition
+  syncIndicatorTimer() {
+    if (!this.indicator) return;
+
+    const running = !this.engine && this.pauseHolds.size === 0;
+    if (running && !this.indicator.timer) {
+      this.indicator.timer = setInterval(() => this.updateIndicator(), 200);
+    } else if (!running && this.indicator.timer) {
+      clearInterval(this.indicator.timer);
+      this.indicator.timer = null;
+      this.updateIndicator();
+    }
+  }
+
+  removeIndicator() {
+    if (!this.indicator) return;
+    clearInterval(this.indicator.timer);
+    this.indicator.element.remove();
+    this.indicator = null;
+  }
+
+  renderIndicator() {
+    const {element, type} = this.indicator;
+    const slides = this.rows[0] ? Array.from(this.rows[0].track.children).filter(slide => !slide.classList.contains("cloned")) : [];
+    const count = slides.length;
+    this.indicator.count = count;
+    this.indicator.index = null;
+
+    if (type === "bar") {
+      element.innerHTML = `<div class="infinite-slider-indicator-bar" role="progressbar" aria-valuemin="1"><span class="infinite-slider-indicator-fill"></span></div>`;
+      element.firstElementChild.setAttribute("aria-label", this.getLabel("position"));
+      element.firstElementChild.setAttribute("aria-valuemax", count);
+    } else {
+      element.innerHTML = "";
+      const list = document.createElement("div");
+      list.className = "infinite-slider-indicator-dots";
+      list.setAttribute("role", "group");
+      list.setAttribute("aria-label", this.getLabel("position"));
+      slides.forEach((slide, index) => {
+        const dot = document.createElement("button");
+        dot.type = "button";
+        dot.className = "infinite-slider-indicator-dot";
+        dot.setAttribute("aria-label", this.getLabel("goToItem", {index: index + 1, count}));
+        dot.addEventListener("click", () => this.goToIndicatorItem(index));
+        list.appendChild(dot);
       });
+      element.appendChild(list);
+    }
+    this.updateIndicator();
+  }
+
+  updateIndicator() {
+    if (!this.indicator) return;
+
+    // Slides can be re-dealt (breakpoints, live updates); rebuild when the first row's count changes
+    const firstRow = this.rows[0];
+    const count = firstRow ? parseInt(firstRow.track.dataset.originalCount || "0", 10) : 0;
+    if (count && count !== this.indicator.count) {
+      this.renderIndicator();
+      return;
+    }
+
+    const index = this.getLeadingIndex();
+    if (index === this.indicator.index) return;
+    this.indicator.index = index;
+
+    const {element, type} = this.indicator;
+    const total = this.indicator.count;
+    if (type === "bar") {
+      const bar = element.querySelector(".infinite-slider-indicator-bar");
+      bar.style.setProperty("--indicator-progress", total ? (index + 1) / total : 0);
+      bar.setAttribute("aria-valuenow", index + 1);
+      bar.setAttribute("aria-valuetext", this.getLabel("item", {index: index + 1, count: total}));
     } else {
-      this.data.forEach((item, index) => {
-        if (item.image) {
-          const slide = this.buildSlide(item, index);
-          sliderTrack.appendChild(slide);
+      element.querySelectorAll(".infinite-slider-indicator-dot").forEach((dot, dotIndex) => {
+        if (dotIndex === index) {
+          dot.setAttribute("aria-current", "true");
+        } else {
+          dot.removeAttribute("aria-current");
         }
       });
     }
+  }
+
+  goToIndicatorItem(index) {
+    const count = this.indicator.count;
+    if (!count) return;
+
+    // Go the short way round the loop
+    let steps = (((index - this.getLeadingIndex()) % count) + count) % count;
+    if (steps > count / 2) steps -= count;
+    if (this.isRowReversed(this.rows[0])) steps = -steps;
+    this.nudge(steps);
+  }
+
+  bindScrollVelocity() {
+    let lastY = window.scrollY;
+    let lastTime = performance.now();
+
+    this._scrollHandler = () => {
+      const now = performance.now();
+      const elapsed = now - lastTime;
+      if (elapsed <= 0) return;
+
+      const velocity = ((window.scrollY - lastY) / elapsed) * 1000;
+      lastY = window.scrollY;
+      lastTime = now;
+
+      const {scrollVelocityMultiplier, scrollVelocityMax, scrollVelocityReverse} = this.settings;
+      let boost = velocity * scrollVelocityMultiplier;
+      if (!scrollVelocityReverse) boost = Math.abs(boost);
+      boost = Math.max(-scrollVelocityMax, Math.min(scrollVelocityMax, boost));
+
+      // Blend with the previous boost to smooth out uneven scroll event timing
+      this.scrollBoost = (this.scrollBoost + boost) / 2;
+      this.startEngine();
+    };
+
+    window.addEventListener("scroll", this._scrollHandler, {passive: true});
+  }
+
+  renderEngine(row) {
+    const offset = -row.position;
+    row.track.style.transform = this.isVertical() ? `translate3d(0, ${offset}px, 0)` : `translate3d(${offset}px, 0, 0)`;
+  }
+
+  stopEngine() {
+    if (this.engine && this.engine.rafId) {
+      cancelAnimationFrame(this.engine.rafId);
+      this.engine.rafId = null;
+    }
+  }
+
+  resetSlider({rebuildRows = false} = {}) {
+    if (!this.imagesLoaded) {
+      this.pendingReset = {rebuildRows: rebuildRows || !!this.pendingReset?.rebuildRows};
+      return;
+    }
+    if (!this.rows.length || !this.rows.every(row => row.track.dataset.initialized)) return;
+
+    const slides = this.buildSlides();
+
+    if (rebuildRows) {
+      // A breakpoint changed the row layout: replace the tracks
+      const sliderViewport = this.rows[0].track.parentElement;
+      this.rows.forEach(row => row.track.remove());
+      this.el.removeAttribute("data-rows");
+      this.createRows(sliderViewport, slides.length);
+    } else {
+      // Clear all slides (both original and clones)
+      this.rows.forEach(row => {
+        row.track.innerHTML = "";
+      });
+    }
+
+    // Rebuild slides from source of truth
+    this.distributeSlides(slides);
+    this.setupKeyboardNavigation();
+
+    this.rows.forEach(row => {
+      const sliderTrack = row.track;
+
+      // The slider has been measured before, so rebuilt images load straight away
+      this.loadImages(sliderTrack);
+
+      // Remove initialized flag
+      delete sliderTrack.dataset.initialized;
+
+      // Recalculate
+      this.duplicateSlides(sliderTrack);
+      this.calculateAnimation(row);
+
+      if (rebuildRows) {
+        this.setLoopPosition(row, row.offset);
+        row.velocity = this.getTargetVelocity(row);
+      }
+    });
+    this.startEngine();
+  }
 
-    // Remove initialized flag
-    delete sliderTrack.dataset.initialized;
+  updateCustomCursor() {
+    // Re-apply theme and lag on the next hover, in case a breakpoint changed them
+    if (WMInfiniteSlider.sharedCursor?.owner === this) WMInfiniteSlider.sharedCursor.owner = null;
 
-    // Recalculate
-    this.duplicateSlides(sliderTrack);
-    this.calculateAnimation(sliderTrack);
+    const enabled = this.settings.customCursor && !this.isMobile();
+    if (enabled && !this._cursorHandlers) {
+      this.createCustomCursor();
+    } else if (!enabled && this._cursorHandlers) {
+      this.removeCustomCursor();
+    }
   }
 
   createCustomCursor() {
-    const sliderWrapper = this.el.querySelector(".infinite-slider-wrapper");
-    if (!sliderWrapper) return;
+    if (!this.el.querySelector(".infinite-slider-wrapper")) return;
 
     // Use or create singleton cursor
     if (!WMInfiniteSlider.sharedCursor) {
@@ -563,16 +2184,22 @@ class WMInfiniteSlider {
     this.customCursorEl = WMInfiniteSlider.sharedCursor.element;
 
     // Track mouse movement for this slider
-    const mouseMoveHandler = e => {
+    const mouseMoveHandler = (e, resolved) => {
       WMInfiniteSlider.sharedCursor.targetX = e.clientX;
       WMInfiniteSlider.sharedCursor.targetY = e.clientY;
+      this.activateCursor();
 
-      const item = e.target.closest(".infinite-slider-item");
+      // Originals and clones alike resolve to their item
+      const item = resolved?.slide;
       const textSpan = this.customCursorEl.querySelector(".infinite-slider-cursor-text");
       const iconSpan = this.customCursorEl.querySelector(".infinite-slider-cursor-icon");
 
       if (item) {
+        // Only fill the cursor when the hovered item changes (a template may re-create a thumbnail)
         const index = parseInt(item.dataset.index, 10);
+        if (index === WMInfiniteSlider.sharedCursor.renderedIndex) return;
+        WMInfiniteSlider.sharedCursor.renderedIndex = index;
+
         let title = "";
         let hasLink = false;
 
@@ -594,35 +2221,118 @@ class WMInfiniteSlider {
           }
         }
 
-        if (title) {
-          textSpan.textContent = title;
+        const content = this.settings.cursorTemplate ? this.renderCursorTemplate(index, title) : title;
+        if (content) {
+          if (this.settings.cursorTemplate) {
+            textSpan.innerHTML = content;
+          } else {
+            textSpan.textContent = content;
+          }
           this.customCursorEl.classList.add("active");
 
           // Show icon if item has link
           if (hasLink) {
             iconSpan.innerHTML = this.settings.iconHtml;
+            iconSpan.setAttribute("aria-label", this.getLabel("clickthrough"));
             iconSpan.style.display = "";
           } else {
             iconSpan.style.display = "none";
           }
         }
       } else {
+        WMInfiniteSlider.sharedCursor.renderedIndex = null;
         this.customCursorEl.classList.remove("active");
         iconSpan.style.display = "none";
       }
     };
 
     const mouseLeaveHandler = () => {
+      WMInfiniteSlider.sharedCursor.renderedIndex = null;
       this.customCursorEl.classList.remove("active");
       const iconSpan = this.customCursorEl.querySelector(".infinite-slider-cursor-icon");
       if (iconSpan) iconSpan.style.display = "none";
     };
 
-    sliderWrapper.addEventListener("mousemove", mouseMoveHandler);
-    sliderWrapper.addEventListener("mouseleave", mouseLeaveHandler);
+    this.onItem("mousemove", mouseMoveHandler);
+    this.onItem("mouseleave", mouseLeaveHandler);
 
     // Store handlers for cleanup
-    this._cursorHandlers = {mouseMoveHandler, mouseLeaveHandler, sliderWrapper};
+    this._cursorHandlers = {mouseMoveHandler, mouseLeaveHandler};
+  }
+
+  // The cursor is shared, so whichever slider is hovered applies its own theme, CSS variables and lag
+  activateCursor() {
+    const cursor = WMInfiniteSlider.sharedCursor;
+    if (!cursor || cursor.owner === this) return;
+
+    cursor.owner = this;
+    cursor.renderedIndex = null;
+    cursor.lag = this.settings.cursorLag;
+
+    const theme = this.settings.cursorTheme || this.el.getAttribute("data-section-theme");
+    if (theme) {
+      cursor.element.setAttribute("data-section-theme", theme);
+    } else {
+      cursor.element.removeAttribute("data-section-theme");
+    }
+    cursor.element.classList.toggle("has-template", !!this.settings.cursorTemplate);
+
+    // --cursor-* variables set on (or inherited by) the section, since the cursor lives outside it
+    const styles = getComputedStyle(this.el);
+    WMInfiniteSlider.cursorProperties.forEach(property => {
+      const value = styles.getPropertyValue(property).trim();
+      if (value) {
+        cursor.element.style.setProperty(property, value);
+      } else {
+        cursor.element.style.removeProperty(property);
+      }
+    });
+  }
+
+  renderCursorTemplate(index, title) {
+    const item = this.data[index] || {};
+    const thumbnail = item.image?.assetUrl;
+    const separator = thumbnail?.includes("?") ? "&" : "?";
+    const values = {
+      title: this.escapeHtml(title),
+      description: this.sanitizeHtml(item.description),
+      thumbnail: thumbnail ? `<img class="infinite-slider-cursor-thumbnail" src="${this.escapeHtml(`${thumbnail}${separator}format=300w`)}" alt="">` : "",
+      index: index + 1,
+      total: this.data.length,
+    };
+
+    // Unknown placeholders are left as written so typos are easy to spot
+    return this.settings.cursorTemplate.replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match)).trim();
+  }
+
+  escapeHtml(text) {
+    const entities = {"&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;"};
+    return String(text ?? "").replace(/[&<>"']/g, char => entities[char]);
+  }
+
+  removeCustomCursor() {
+    // Clean up custom cursor handlers
+    if (this._cursorHandlers) {
+      const {mouseMoveHandler, mouseLeaveHandler} = this._cursorHandlers;
+      this.offItem("mousemove", mouseMoveHandler);
+      this.offItem("mouseleave", mouseLeaveHandler);
+      this._cursorHandlers = null;
+    }
+
+    // Unregister from cursor instances
+    WMInfiniteSlider.cursorInstances.delete(this);
+    if (WMInfiniteSlider.sharedCursor?.owner === this) WMInfiniteSlider.sharedCursor.owner = null;
+
+    // Only destroy shared cursor if no instances are using it
+    if (WMInfiniteSlider.cursorInstances.size === 0 && WMInfiniteSlider.sharedCursor) {
+      cancelAnimationFrame(WMInfiniteSlider.sharedCursor.rafId);
+      WMInfiniteSlider.sharedCursor.element.remove();
+      WMInfiniteSlider.sharedCursor = null;
+    } else if (this.customCursorEl) {
+      this.customCursorEl.classList.remove("active");
+    }
+
+    this.customCursorEl = null;
   }
 
   static initSharedCursor(theme = "") {
@@ -643,6 +2353,7 @@ class WMInfiniteSlider {
     // Create icon span (hidden by default)
     const iconSpan = document.createElement("span");
     iconSpan.className = "infinite-slider-cursor-icon";
+    iconSpan.setAttribute("role", "img");
     element.appendChild(iconSpan);
 
     document.querySelector("#siteWrapper").appendChild(element);
@@ -658,6 +2369,9 @@ class WMInfiniteSlider {
       targetY: initialY,
       currentX: initialX,
       currentY: initialY,
+      lag: 0.1, // Set by the hovered instance's cursorLag
+      owner: null, // Instance whose theme is currently applied
+      renderedIndex: null, // Item index the cursor content was last rendered for
       rafId: null,
     };
 
@@ -671,9 +2385,10 @@ class WMInfiniteSlider {
       // Safety check - stop if cursor was destroyed
       if (!cursor) return;
 
-      // Interpolate current position towards target (0.05 = lag factor)
-      cursor.currentX = lerp(cursor.currentX, cursor.targetX, 0.1);
-      cursor.currentY = lerp(cursor.currentY, cursor.targetY, 0.1);
+      // Interpolate current position towards target (lag = fraction of the distance covered per frame)
+      const lag = Math.min(1, Math.max(0.01, Number(cursor.lag) || 0.1));
+      cursor.currentX = lerp(cursor.currentX, cursor.targetX, lag);
+      cursor.currentY = lerp(cursor.currentY, cursor.targetY, lag);
 
       // Default offsets (bottom-right of cursor)
       let offsetX = 30;
@@ -701,12 +2416,12 @@ class WMInfiniteSlider {
   buildPauseButton() {
     // WCAG 2.2.2 (Pause, Stop, Hide): give users explicit control over the
     // continuously animating slider. The slider starts playing, so the button
-    // shows the pause icon and labels itself "Pause slideshow" initially.
+    // shows the pause icon and the "pause" label initially.
     const button = document.createElement("button");
     button.type = "button";
     button.className = "infinite-slider-pause-toggle";
     button.dataset.playing = "true";
-    button.setAttribute("aria-label", "Pause slideshow");
+    button.setAttribute("aria-label", this.getLabel("pause"));
     button.innerHTML = `
       <svg class="infinite-slider-icon-pause" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg" aria-hidden="true" focusable="false">
         <rect x="6" y="4" width="4" height="16"/>
@@ -719,25 +2434,859 @@ class WMInfiniteSlider {
     return button;
   }
 
-  togglePause() {
-    this.userPaused = !this.userPaused;
-    this.setPaused(this.userPaused);
+  // Adds or removes the toggle to match the pauseButton setting
+  updatePauseButton() {
+    if (this.settings.pauseButton && !this.pauseButton) {
+      const sliderWrapper = this.el.querySelector(".infinite-slider-wrapper");
+      if (!sliderWrapper) return;
+      this.pauseButton = this.buildPauseButton();
+      this.pauseButton.addEventListener("click", () => this.togglePause());
+      sliderWrapper.appendChild(this.pauseButton);
+      this.setPaused(this.userPaused);
+    } else if (!this.settings.pauseButton && this.pauseButton) {
+      this.pauseButton.remove();
+      this.pauseButton = null;
+    }
+  }
+
+  togglePause() {
+    if (this.userPaused) {
+      this.play();
+    } else {
+      this.pause();
+    }
   }
 
   setPaused(paused) {
-    // The .paused class drives animation-play-state in CSS (shared with stopOnHover)
-    this.el.classList.toggle("paused", paused);
+    this.userPaused = paused;
+    this.setHold("user", paused);
 
     if (this.pauseButton) {
       this.pauseButton.dataset.playing = String(!paused);
-      this.pauseButton.setAttribute("aria-label", paused ? "Play slideshow" : "Pause slideshow");
+      this.pauseButton.setAttribute("aria-label", this.getLabel(paused ? "play" : "pause"));
+    }
+  }
+
+  setHold(reason, active) {
+    // The .paused class drives animation-play-state in CSS; it stays on while any hold is active
+    if (active) {
+      this.pauseHolds.add(reason);
+    } else {
+      this.pauseHolds.delete(reason);
+    }
+    this.el.classList.toggle("paused", this.pauseHolds.size > 0);
+    this.startEngine();
+    this.syncVideos();
+    this.syncIndicatorTimer();
+  }
+
+  /**
+   * Public API
+   * Instances are available through WMInfiniteSlider.getInstance(sectionIdOrElement).
+   * Each state change emits a matching event on the section, e.g. "wm-infinite-slider:pause":
+   * :play, :pause, :speedChange, :directionChange, :breakpointChange, :update, :refresh, :destroy, :lightboxOpen, :lightboxClose,
+   * :itemVisible, :itemClick (analytics setting)
+   **/
+  play() {
+    if (!this.userPaused) return;
+    this.setPaused(false);
+    WMInfiniteSlider.emitEvent(":play", {el: this.el, instance: this}, this.el);
+  }
+
+  pause() {
+    if (this.userPaused) return;
+    this.setPaused(true);
+    WMInfiniteSlider.emitEvent(":pause", {el: this.el, instance: this}, this.el);
+  }
+
+  // Speeds are in pixels per second; a single value applies to both desktop and mobile
+  // ("step" mode is paced by stepDwell and stepDuration instead)
+  setSpeed(speedDesktop, speedMobile = speedDesktop) {
+    const desktop = Number(speedDesktop);
+    const mobile = Number(speedMobile);
+    if (!(desktop > 0) || !(mobile > 0)) {
+      console.warn(`[${this.pluginName}] setSpeed expects a positive number of pixels per second.`);
+      return;
+    }
+
+    this.settings.speedDesktop = this.overrides.speedDesktop = desktop;
+    this.settings.speedMobile = this.overrides.speedMobile = mobile;
+
+    // Recalculate the duration without restarting the loop from the beginning
+    this.rows.forEach(row => {
+      if (!row.track.dataset.initialized) return;
+      const position = this.getLoopPosition(row);
+      this.calculateAnimation(row);
+      this.setLoopPosition(row, position);
+    });
+    this.startEngine();
+
+    WMInfiniteSlider.emitEvent(":speedChange", {el: this.el, instance: this, speedDesktop: desktop, speedMobile: mobile}, this.el);
+  }
+
+  // Accepts "forward" or "reverse" (or a boolean matching the reverse setting)
+  setDirection(direction) {
+    const reverse = direction === true || direction === "reverse";
+    if (reverse === this.settings.reverse) return;
+
+    this.settings.reverse = this.overrides.reverse = reverse;
+
+    // Switching keyframes restarts the animation, so carry each row's position across
+    this.rows.forEach(row => {
+      const position = this.getLoopPosition(row);
+      this.applyRowDirection(row);
+      this.setLoopPosition(row, position);
+    });
+    this.startEngine();
+
+    WMInfiniteSlider.emitEvent(":directionChange", {el: this.el, instance: this, direction: reverse ? "reverse" : "forward"}, this.el);
+  }
+
+  /**
+   * Live updates
+   * The hidden original container stays the source of truth. When its items change, only the
+   * added, removed or reordered slides (and their rows' clones) change; the loop keeps its position.
+   **/
+  bindContentObserver() {
+    if (!this.originalContainer || !("MutationObserver" in window)) return;
+
+    this.contentObserver = new MutationObserver(() => {
+      clearTimeout(this.contentTimer);
+      this.contentTimer = setTimeout(() => this.syncData(), 100);
+    });
+
+    this.contentObserver.observe(this.originalContainer, {
+      attributes: true,
+      attributeFilter: ["data-current-context"],
+      childList: true,
+      subtree: true,
+      characterData: true,
+    });
+  }
+
+  syncData() {
+    if (this.sourceLoaded || !this.rows.length) return;
+    if (!this.imagesLoaded) {
+      this.pendingSync = true;
+      return;
+    }
+
+    const previousData = this.data;
+    const previousSlides = this.originalSlides;
+    this.extractData();
+    if (!this.data || this.data.length === 0) {
+      console.warn(`[${this.pluginName}] The list is now empty, keeping the current items`);
+      this.data = previousData;
+      this.originalSlides = previousSlides;
+      return;
+    }
+
+    // Pool the current slides by the item they were built from
+    const previousOrder = this.getRealSlides();
+    const pool = new Map();
+    previousOrder.forEach(slide => {
+      const key = this.slideKeys.get(slide);
+      pool.set(key, [...(pool.get(key) || []), slide]);
+    });
+
+    let added = 0;
+    const count = this.isPreservingStructure() ? this.originalSlides.length : this.data.length;
+    const slides = [];
+    for (let index = 0; index < count; index++) {
+      const reused = pool.get(this.getItemKey(index))?.shift();
+      if (reused) {
+        reused.dataset.index = index;
+        slides.push(reused);
+        continue;
+      }
+      const slide = this.buildSlideAt(index);
+      if (slide) {
+        slides.push(slide);
+        added++;
+      }
+    }
+    const removed = Array.from(pool.values()).flat();
+    if (!added && !removed.length && slides.every((slide, index) => slide === previousOrder[index])) return;
+
+    // A different number of rows means dealing the slides out again from scratch
+    const rowCount = Math.max(1, Math.min(parseInt(this.settings.rows, 10) || 1, slides.length));
+    if (rowCount !== this.rows.length) {
+      this.resetSlider({rebuildRows: true});
+    } else {
+      removed.forEach(slide => slide.remove());
+      this.rows.forEach((row, rowIndex) => {
+        const rowSlides = slides.filter((slide, index) => index % this.rows.length === rowIndex);
+        const current = Array.from(row.track.children).filter(slide => !slide.classList.contains("cloned"));
+        if (rowSlides.length === current.length && rowSlides.every((slide, index) => slide === current[index])) return;
+
+        // Only this row's clones are rebuilt, once any new images are in; the old clones keep the
+        // loop filled until then and are swapped out in the same frame as the new ones go in
+        const staleClones = Array.from(row.track.querySelectorAll(":scope > .cloned"));
+        rowSlides.forEach(slide => row.track.insertBefore(slide, staleClones[0] || null));
+        row.track.dataset.originalCount = rowSlides.length;
+        this.loadImages(row.track);
+
+        this.waitForImages(row.track).then(() => {
+          if (!row.track.isConnected) return;
+          const position = this.getLoopPosition(row);
+          staleClones.forEach(clone => clone.remove());
+          const setSize = this.isVertical() ? row.track.scrollHeight : row.track.scrollWidth;
+          this.addCloneSets(row.track, rowSlides, this.getCloneSetCount(row.track, setSize));
+          this.calculateAnimation(row);
+          this.setLoopPosition(row, position);
+          this.startEngine();
+        });
+      });
+      this.setupKeyboardNavigation();
+    }
+
+    WMInfiniteSlider.emitEvent(":update", {el: this.el, instance: this, added, removed: removed.length}, this.el);
+  }
+
+  // Rebuild slides and re-measure, e.g. after the section's layout changed
+  refresh() {
+    this.resetSlider();
+    WMInfiniteSlider.emitEvent(":refresh", {el: this.el, instance: this}, this.el);
+  }
+
+  /**
+   * Item interactions
+   * One listener per event type on the wrapper resolves any slide, original or .cloned, back to
+   * its item through data-index. Item behaviours register here so they work the same on every copy.
+   * Handlers are called with (event, resolved), where resolved is null outside an item.
+   **/
+  onItem(type, handler) {
+    if (!this.itemHandlers.has(type)) {
+      const sliderWrapper = this.el.querySelector(".infinite-slider-wrapper");
+      if (!sliderWrapper) return;
+
+      this.itemHandlers.set(type, []);
+      sliderWrapper.addEventListener(type, e => {
+        const resolved = this.resolveItem(e.target);
+        this.itemHandlers.get(type).slice().forEach(itemHandler => itemHandler(e, resolved));
+      });
+    }
+    this.itemHandlers.get(type).push(handler);
+  }
+
+  offItem(type, handler) {
+    const handlers = this.itemHandlers.get(type);
+    if (handlers) this.itemHandlers.set(type, handlers.filter(itemHandler => itemHandler !== handler));
+  }
+
+  resolveItem(target) {
+    const slide = target.closest?.(".infinite-slider-track > [data-index]");
+    if (!slide) return null;
+
+    const index = parseInt(slide.dataset.index, 10);
+    return {slide, index, item: this.data[index], cloned: slide.classList.contains("cloned")};
+  }
+
+  followItemLink(e, resolved) {
+    const button = resolved?.item?.button;
+    if (!button?.buttonLink) return;
+
+    // Don't intercept clicks on existing links
+    if (e.target.closest("a")) return;
+
+    if (button.buttonNewWindow) {
+      window.open(button.buttonLink, "_blank", "noopener,noreferrer");
+    } else {
+      window.location.href = button.buttonLink;
+    }
+  }
+
+  /**
+   * Lightbox
+   * One overlay per instance, built on first open. Slides (including .cloned copies) resolve
+   * back to their item through data-index, so every copy opens the same entry.
+   **/
+  hasLightbox() {
+    // Clickthrough links take precedence over the lightbox
+    return this.settings.lightbox && !this.settings.allowClickthrough;
+  }
+
+  setupLightboxTrigger(trigger, item) {
+    trigger.tabIndex = 0;
+    trigger.setAttribute("role", "button");
+    trigger.setAttribute("aria-haspopup", "dialog");
+    trigger.setAttribute("aria-label", item?.title ? this.getLabel("open", {title: item.title}) : this.getLabel("openItem"));
+  }
+
+  getLightboxIndices() {
+    // Only items that render a slide can be shown
+    if (this.settings.preserveStructure && this.originalSlides.length > 0) {
+      return this.originalSlides.map((slide, index) => index);
+    }
+    return this.data.map((item, index) => (this.hasSlideContent(item) ? index : null)).filter(index => index !== null);
+  }
+
+  buildLightbox() {
+    const overlay = document.createElement("div");
+    overlay.className = "infinite-slider-lightbox";
+    overlay.hidden = true;
+    overlay.setAttribute("role", "dialog");
+    overlay.setAttribute("aria-modal", "true");
+    overlay.setAttribute("aria-label", this.getLabel("lightbox"));
+    overlay.innerHTML = `
+      <div class="infinite-slider-lightbox-backdrop"></div>
+      <figure class="infinite-slider-lightbox-figure">
+        <img class="infinite-slider-lightbox-image" alt="">
+        <figcaption class="infinite-slider-lightbox-caption">
+          <h2 class="infinite-slider-lightbox-title"></h2>
+          <div class="infinite-slider-lightbox-description"></div>
+          <p class="infinite-slider-lightbox-counter" aria-live="polite"></p>
+        </figcaption>
+      </figure>
+      <button type="button" class="infinite-slider-lightbox-prev" aria-label="${this.escapeHtml(this.getLabel("previous"))}">
+        <svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg" aria-hidden="true" focusable="false"><path d="m15 18-6-6 6-6"/></svg>
+      </button>
+      <button type="button" class="infinite-slider-lightbox-next" aria-label="${this.escapeHtml(this.getLabel("next"))}">
+        <svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg" aria-hidden="true" focusable="false"><path d="m9 18 6-6-6-6"/></svg>
+      </button>
+      <button type="button" class="infinite-slider-lightbox-close" aria-label="${this.escapeHtml(this.getLabel("close"))}">
+        <svg viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg" aria-hidden="true" focusable="false"><path d="M18 6 6 18"/><path d="m6 6 12 12"/></svg>
+      </button>`;
+
+    const theme = this.el.getAttribute("data-section-theme");
+    if (theme) overlay.setAttribute("data-section-theme", theme);
+
+    const figure = overlay.querySelector(".infinite-slider-lightbox-figure");
+    overlay.querySelector(".infinite-slider-lightbox-backdrop").addEventListener("click", () => this.closeLightbox());
+    overlay.querySelector(".infinite-slider-lightbox-close").addEventListener("click", () => this.closeLightbox());
+    overlay.querySelector(".infinite-slider-lightbox-prev").addEventListener("click", () => this.stepLightbox(-1));
+    overlay.querySelector(".infinite-slider-lightbox-next").addEventListener("click", () => this.stepLightbox(1));
+
+    overlay.addEventListener("keydown", e => {
+      if (e.key === "Escape") {
+        e.preventDefault();
+        this.closeLightbox();
+      } else if (e.key === "ArrowLeft") {
+        e.preventDefault();
+        this.stepLightbox(-1);
+      } else if (e.key === "ArrowRight") {
+        e.preventDefault();
+        this.stepLightbox(1);
+      } else if (e.key === "Tab") {
+        this.trapLightboxFocus(e);
+      }
+    });
+
+    // Swipe left/right on touch devices
+    let swipeStart = null;
+    figure.addEventListener("pointerdown", e => {
+      if (e.isPrimary) swipeStart = {x: e.clientX, y: e.clientY};
+    });
+    figure.addEventListener("pointerup", e => {
+      if (!swipeStart) return;
+      const deltaX = e.clientX - swipeStart.x;
+      const deltaY = e.clientY - swipeStart.y;
+      swipeStart = null;
+      if (Math.abs(deltaX) > 50 && Math.abs(deltaX) > Math.abs(deltaY)) {
+        this.stepLightbox(deltaX < 0 ? 1 : -1);
+      }
+    });
+    figure.addEventListener("pointercancel", () => {
+      swipeStart = null;
+    });
+
+    document.body.appendChild(overlay);
+    this.lightbox = {element: overlay, index: null, previousFocus: null};
+  }
+
+  openLightbox(index) {
+    if (!this.lightbox) this.buildLightbox();
+
+    const {element} = this.lightbox;
+    if (element.hidden) {
+      this.lightbox.previousFocus = document.activeElement;
+      element.hidden = false;
+      document.documentElement.classList.add("infinite-slider-lightbox-open");
+      this.setHold("lightbox", true);
+      WMInfiniteSlider.emitEvent(":lightboxOpen", {el: this.el, instance: this, index}, this.el);
+    }
+
+    this.renderLightbox(index);
+    element.querySelector(".infinite-slider-lightbox-close").focus();
+  }
+
+  renderLightbox(index) {
+    const {element} = this.lightbox;
+    const item = this.data[index] || {};
+    const indices = this.getLightboxIndices();
+    this.lightbox.index = index;
+
+    const img = element.querySelector(".infinite-slider-lightbox-image");
+    const image = item.image || {};
+    img.removeAttribute("srcset");
+    if (image.assetUrl) {
+      const srcset = this.getImageSrcset(image);
+      if (srcset) {
+        img.sizes = "90vw";
+        img.srcset = srcset;
+      }
+      img.src = image.assetUrl;
+    } else {
+      img.removeAttribute("src");
+    }
+    img.alt = item.title || "";
+
+    const title = element.querySelector(".infinite-slider-lightbox-title");
+    title.textContent = item.title || "";
+    title.hidden = !item.title;
+
+    const description = element.querySelector(".infinite-slider-lightbox-description");
+    description.innerHTML = this.sanitizeHtml(item.description);
+    description.hidden = !description.textContent.trim();
+
+    const position = indices.indexOf(index) + 1;
+    element.querySelector(".infinite-slider-lightbox-counter").textContent = `${position} / ${indices.length}`;
+
+    const single = indices.length < 2;
+    element.querySelector(".infinite-slider-lightbox-prev").hidden = single;
+    element.querySelector(".infinite-slider-lightbox-next").hidden = single;
+  }
+
+  stepLightbox(direction) {
+    if (!this.lightbox || this.lightbox.element.hidden) return;
+
+    // Previous/next wrap around at either end
+    const indices = this.getLightboxIndices();
+    const position = indices.indexOf(this.lightbox.index);
+    const next = indices[(position + direction + indices.length) % indices.length];
+    this.renderLightbox(next);
+  }
+
+  closeLightbox() {
+    if (!this.lightbox || this.lightbox.element.hidden) return;
+
+    const {element, previousFocus, index} = this.lightbox;
+    element.hidden = true;
+    document.documentElement.classList.remove("infinite-slider-lightbox-open");
+    this.setHold("lightbox", false);
+
+    if (previousFocus && typeof previousFocus.focus === "function") previousFocus.focus();
+    this.lightbox.previousFocus = null;
+
+    WMInfiniteSlider.emitEvent(":lightboxClose", {el: this.el, instance: this, index}, this.el);
+  }
+
+  trapLightboxFocus(e) {
+    const focusable = Array.from(
+      this.lightbox.element.querySelectorAll("button:not([hidden]), a[href], [tabindex]:not([tabindex='-1'])")
+    ).filter(el => !el.closest("[hidden]"));
+    if (!focusable.length) return;
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  sanitizeHtml(html) {
+    // Item descriptions arrive as HTML in the context data; keep basic formatting and safe links only
+    const allowedTags = ["p", "br", "strong", "b", "em", "i", "u", "s", "span", "a", "ul", "ol", "li", "sup", "sub"];
+    const droppedTags = ["script", "style", "iframe", "object", "embed", "template", "noscript", "svg", "math"];
+    const template = document.createElement("template");
+    template.innerHTML = html || "";
+
+    const clean = parent => {
+      Array.from(parent.children).forEach(child => {
+        const tag = child.tagName.toLowerCase();
+        if (droppedTags.includes(tag)) {
+          child.remove();
+          return;
+        }
+
+        clean(child);
+
+        if (!allowedTags.includes(tag)) {
+          child.replaceWith(...child.childNodes);
+          return;
+        }
+
+        Array.from(child.attributes).forEach(attr => {
+          const safeHref = attr.name === "href" && this.isSafeHref(attr.value);
+          const keep = tag === "a" && (safeHref || attr.name === "target");
+          if (!keep) child.removeAttribute(attr.name);
+        });
+
+        if (tag === "a" && child.getAttribute("target") === "_blank") {
+          child.setAttribute("rel", "noopener noreferrer");
+        }
+      });
+    };
+
+    clean(template.content);
+    return template.innerHTML;
+  }
+
+  // Resolve the href the way the browser will (it strips tabs, newlines and control characters from
+  // the scheme), so only links that really are http(s), mailto or tel survive
+  isSafeHref(value) {
+    try {
+      return ["http:", "https:", "mailto:", "tel:"].includes(new URL(value, window.location.href).protocol);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  bindLightbox() {
+    this.onItem("click", (e, resolved) => {
+      // Real links inside preserved slides keep working
+      if (!resolved || e.target.closest("a[href]")) return;
+
+      e.preventDefault();
+      this.openLightbox(resolved.index);
+    });
+
+    this.onItem("keydown", (e, resolved) => {
+      if (e.key !== "Enter" && e.key !== " ") return;
+      if (e.target.getAttribute("aria-haspopup") !== "dialog") return;
+      if (!resolved) return;
+
+      // Route through click like a native button, so click listeners (e.g. analytics) see it
+      e.preventDefault();
+      e.target.click();
+    });
+  }
+
+  /**
+   * Keyboard and screen reader support
+   * The real items form a single tab stop (roving tabindex); arrow keys move between them,
+   * and keyboard focus holds the animation and brings the focused item into view.
+   **/
+  getRegionLabel() {
+    const template = document.createElement("template");
+    template.innerHTML = this.sectionTitle || "";
+    return template.content.textContent.trim() || this.getLabel("region");
+  }
+
+  getFocusTargets() {
+    return this.getRealSlides().map(slide => slide.querySelector(WMInfiniteSlider.focusableSelector) || slide);
+  }
+
+  setupKeyboardNavigation() {
+    this.getFocusTargets().forEach((target, index) => {
+      target.tabIndex = index === 0 ? 0 : -1;
+    });
+  }
+
+  revealSlide(slide) {
+    const row = this.rows.find(candidate => candidate.track === slide.parentElement);
+    if (!row || !row.distance) return;
+
+    const vertical = this.isVertical();
+    const sliderViewport = row.track.parentElement;
+    const viewportSize = vertical ? sliderViewport.clientHeight : sliderViewport.clientWidth;
+    const start = vertical ? slide.offsetTop : slide.offsetLeft;
+    const size = vertical ? slide.offsetHeight : slide.offsetWidth;
+
+    const visibleStart = start - this.getLoopPosition(row) * row.distance;
+    if (visibleStart >= 0 && visibleStart + size <= viewportSize) return;
+
+    // Centre the item, but never wrap past the start of the loop, where only its hidden clone would show
+    const offset = Math.max(0, start - (viewportSize - size) / 2);
+    this.setLoopPosition(row, offset / row.distance);
+  }
+
+  bindAccessibility(sliderWrapper) {
+    // Focusing an item inside an overflow:hidden box scrolls the box natively; the track transform does that job
+    const sliderViewport = sliderWrapper.querySelector(".infinite-slider-viewport");
+    const resetNativeScroll = () => {
+      [sliderViewport, sliderWrapper, sliderWrapper.parentElement].forEach(el => {
+        el.scrollLeft = 0;
+        el.scrollTop = 0;
+      });
+    };
+    sliderViewport.addEventListener("scroll", resetNativeScroll);
+    sliderWrapper.addEventListener("scroll", resetNativeScroll);
+
+    sliderWrapper.addEventListener("focusin", e => {
+      const resolved = this.resolveItem(e.target);
+      if (!resolved || resolved.cloned) {
+        // Controls such as the pause button don't hold the animation
+        this.setHold("focus", false);
+        return;
+      }
+
+      // Keep the roving tab stop on the last focused item
+      const targets = this.getFocusTargets();
+      if (targets.includes(e.target)) {
+        targets.forEach(target => {
+          target.tabIndex = target === e.target ? 0 : -1;
+        });
+      }
+
+      // Only keyboard focus holds the animation; a mouse click on a link shouldn't freeze it
+      let keyboardFocus = true;
+      try {
+        keyboardFocus = e.target.matches(":focus-visible");
+      } catch (error) {
+        // :focus-visible unsupported - treat all focus as keyboard focus
+      }
+      if (!keyboardFocus) return;
+
+      this.setHold("focus", true);
+      this.rows.forEach(row => {
+        row.velocity = 0;
+      });
+      this.revealSlide(resolved.slide);
+      resetNativeScroll();
+    });
+
+    sliderWrapper.addEventListener("focusout", e => {
+      if (!e.relatedTarget || !sliderWrapper.contains(e.relatedTarget)) {
+        this.setHold("focus", false);
+      }
+    });
+
+    sliderWrapper.addEventListener("keydown", e => {
+      const step = {ArrowRight: 1, ArrowDown: 1, ArrowLeft: -1, ArrowUp: -1}[e.key];
+      const jump = e.key === "Home" || e.key === "End";
+      if (!step && !jump) return;
+
+      const targets = this.getFocusTargets();
+      const current = targets.indexOf(e.target);
+      if (current === -1) return;
+
+      e.preventDefault();
+      let next;
+      if (jump) {
+        next = e.key === "Home" ? 0 : targets.length - 1;
+      } else {
+        next = (current + step + targets.length) % targets.length;
+      }
+      targets[next].focus();
+    });
+  }
+
+  bindVisibility(sliderWrapper) {
+    // Nobody can see an off-screen slider or a hidden tab, so hold the animation to save battery
+    if ("IntersectionObserver" in window) {
+      this.visibilityObserver = new IntersectionObserver(entries => {
+        entries.forEach(entry => this.setHold("offscreen", !entry.isIntersecting));
+      });
+      this.visibilityObserver.observe(sliderWrapper);
+    }
+
+    this._visibilityHandler = () => this.setHold("hidden", document.hidden);
+    document.addEventListener("visibilitychange", this._visibilityHandler);
+    this._visibilityHandler();
+  }
+
+  /**
+   * Item analytics
+   * Clones report under the index of the original item they copy, so each item is seen once.
+   **/
+  bindAnalytics(sliderWrapper) {
+    if ("IntersectionObserver" in window) {
+      this.itemObserver = new IntersectionObserver(
+        entries => {
+          entries.forEach(entry => {
+            if (!entry.isIntersecting) return;
+            const resolved = this.resolveItem(entry.target);
+            if (!resolved || this.seenItems.has(resolved.index)) return;
+            this.seenItems.add(resolved.index);
+            this.trackItem(":itemVisible", resolved);
+          });
+        },
+        {threshold: this.settings.analyticsThreshold}
+      );
+      this.observeItems(sliderWrapper);
+    }
+
+    // Bubble phase: clicks swallowed after a drag never get here
+    this.onItem("click", (e, resolved) => {
+      if (resolved) this.trackItem(":itemClick", resolved, e.target.closest("a[href]"));
+    });
+  }
+
+  observeItems(container) {
+    if (!this.itemObserver) return;
+    container.querySelectorAll(".infinite-slider-track > [data-index]").forEach(slide => this.itemObserver.observe(slide));
+  }
+
+  trackItem(type, {index, item, cloned}, link = null) {
+    const detail = {
+      el: this.el,
+      instance: this,
+      sectionId: this.el.id || this.el.dataset.sectionId || null,
+      index,
+      title: item?.title || "",
+      link: link?.href || item?.button?.buttonLink || null,
+      cloned,
+    };
+    WMInfiniteSlider.emitEvent(type, detail, this.el);
+    if (this.settings.analyticsForward) this.forwardAnalytics(type, detail);
+  }
+
+  forwardAnalytics(type, {sectionId, index, title, link}) {
+    const eventName = type === ":itemClick" ? "infinite_slider_item_click" : "infinite_slider_item_view";
+    const params = {slider_id: sectionId, item_index: index, item_title: title, item_link: link};
+
+    // gtag writes to dataLayer itself, so only push directly when there's no gtag (e.g. Tag Manager)
+    if (typeof window.gtag === "function") {
+      window.gtag("event", eventName, params);
+    } else if (Array.isArray(window.dataLayer)) {
+      window.dataLayer.push({event: eventName, ...params});
+    }
+  }
+
+  bindDrag(sliderWrapper) {
+    // Dragging scrubs the loop by seeking the held keyframe animation, so autoplay
+    // resumes from wherever the drag (and its momentum) leaves the track
+    const dragThreshold = 5; // px of movement before a press becomes a drag
+    const vertical = this.isVertical();
+    const getPoint = e => (vertical ? e.clientY : e.clientX);
+    const drag = {
+      pointerId: null,
+      start: 0,
+      startPositions: [],
+      dragging: false,
+      suppressClick: false,
+      samples: [],
+      momentumId: null,
+    };
+    this.dragState = drag;
+    sliderWrapper.dataset.draggable = "true";
+
+    sliderWrapper.addEventListener("pointerdown", e => {
+      if (!e.isPrimary || e.button !== 0) return;
+      if (e.target.closest(".infinite-slider-pause-toggle, .infinite-slider-nav, .infinite-slider-indicator")) return;
+
+      if (!this.rows.length || !this.rows.every(row => row.distance)) return;
+
+      this.stopMomentum();
+      drag.pointerId = e.pointerId;
+      drag.start = getPoint(e);
+      drag.startPositions = this.rows.map(row => this.getLoopPosition(row));
+      drag.dragging = false;
+      drag.suppressClick = false;
+      drag.samples = [{point: drag.start, t: e.timeStamp}];
+    });
+
+    sliderWrapper.addEventListener("pointermove", e => {
+      if (e.pointerId !== drag.pointerId) return;
+
+      const delta = getPoint(e) - drag.start;
+      if (!drag.dragging) {
+        if (Math.abs(delta) < dragThreshold) return;
+        drag.dragging = true;
+        sliderWrapper.setPointerCapture(e.pointerId);
+        sliderWrapper.classList.add("is-dragging");
+        this.setHold("drag", true);
+      }
+
+      // Moving the pointer right (or down) pulls every row with it, i.e. back along its loop
+      this.rows.forEach((row, index) => {
+        this.setLoopPosition(row, drag.startPositions[index] - delta / row.distance);
+      });
+
+      // Keep the last ~100ms of movement to derive the release velocity
+      drag.samples.push({point: getPoint(e), t: e.timeStamp});
+      while (drag.samples.length > 2 && e.timeStamp - drag.samples[0].t > 100) {
+        drag.samples.shift();
+      }
+    });
+
+    const endDrag = (e, cancelled) => {
+      if (e.pointerId !== drag.pointerId) return;
+      drag.pointerId = null;
+      if (!drag.dragging) return;
+
+      drag.dragging = false;
+      drag.suppressClick = !cancelled;
+      sliderWrapper.classList.remove("is-dragging");
+
+      // The click a mouse drag ends with is dispatched in the same task; touch swipes send none,
+      // so don't let the flag linger and swallow the next real activation (e.g. Enter on a link)
+      if (drag.suppressClick) {
+        setTimeout(() => {
+          drag.suppressClick = false;
+        }, 0);
+      }
+
+      const first = drag.samples[0];
+      const last = drag.samples[drag.samples.length - 1];
+      const velocity = !cancelled && last.t > first.t ? (last.point - first.point) / (last.t - first.t) : 0;
+      this.startMomentum(velocity);
+    };
+
+    sliderWrapper.addEventListener("pointerup", e => endDrag(e, false));
+    sliderWrapper.addEventListener("pointercancel", e => endDrag(e, true));
+
+    // A drag must not fire the clickthrough links on the slides underneath
+    sliderWrapper.addEventListener(
+      "click",
+      e => {
+        if (!drag.suppressClick) return;
+        drag.suppressClick = false;
+        e.preventDefault();
+        e.stopPropagation();
+      },
+      true
+    );
+
+    // Stop the browser's native image/link drag from hijacking the gesture
+    sliderWrapper.addEventListener("dragstart", e => e.preventDefault());
+  }
+
+  startMomentum(velocity) {
+    // velocity is in px/ms; it decays by a constant friction per 16ms frame
+    const drag = this.dragState;
+    const friction = 0.95;
+    const maxVelocity = 5;
+    let current = Math.max(-maxVelocity, Math.min(maxVelocity, velocity));
+
+    if (this.engine) {
+      // The engine eases from the release velocity back to autoplay speed on its own
+      this.rows.forEach(row => {
+        row.velocity = -current * 1000;
+      });
+      this.setHold("drag", false);
+      return;
+    }
+
+    let lastTime = performance.now();
+
+    const step = now => {
+      const elapsed = now - lastTime;
+      lastTime = now;
+      current *= Math.pow(friction, elapsed / 16);
+
+      if (Math.abs(current) < 0.02 || !this.rows.length) {
+        drag.momentumId = null;
+        this.setHold("drag", false);
+        return;
+      }
+
+      this.rows.forEach(row => {
+        this.setLoopPosition(row, this.getLoopPosition(row) - (current * elapsed) / row.distance);
+      });
+      drag.momentumId = requestAnimationFrame(step);
+    };
+
+    drag.momentumId = requestAnimationFrame(step);
+  }
+
+  stopMomentum() {
+    if (this.dragState && this.dragState.momentumId) {
+      cancelAnimationFrame(this.dragState.momentumId);
+      this.dragState.momentumId = null;
+      this.setHold("drag", false);
     }
   }
 
   bindEvents() {
     // Debounced resize handler - only triggers on WIDTH changes
     // This filters out iOS Safari's phantom resize events from the dynamic URL bar
-    window.addEventListener("resize", () => {
+    this._resizeHandler = () => {
       const currentWidth = window.innerWidth;
       
       // Skip if width hasn't changed (filters phantom resize from iOS URL bar)
@@ -747,63 +3296,184 @@ class WMInfiniteSlider {
       
       clearTimeout(this.resizeTimer);
       this.resizeTimer = setTimeout(() => {
-        this.resetSlider();
+        // A crossed breakpoint re-applies the settings and re-measures the tracks itself;
+        // otherwise the ResizeObserver below handles size changes (window resize is the fallback)
+        if (!this.updateBreakpoint() && !this.resizeObserver) this.fitTracks();
       }, 250);
-    });
+    };
+    window.addEventListener("resize", this._resizeHandler);
 
-    // Pause on hover - only if stopOnHover is enabled
-    if (this.settings.stopOnHover) {
-      const sliderWrapper = this.el.querySelector(".infinite-slider-wrapper");
-      if (sliderWrapper) {
-        sliderWrapper.addEventListener("mouseenter", () => {
-          this.el.classList.add("paused");
-        });
+    const sliderWrapper = this.el.querySelector(".infinite-slider-wrapper");
 
-        sliderWrapper.addEventListener("mouseleave", () => {
-          // Respect an explicit user pause from the toggle button
-          if (!this.userPaused) this.el.classList.remove("paused");
-        });
-      }
+    // Watch the wrapper itself, so layout changes that don't resize the window are picked up too
+    // (fluid engine, split-column sections, an opened sidebar)
+    if (sliderWrapper && "ResizeObserver" in window) {
+      this.resizeObserver = new ResizeObserver(entries => {
+        const {width, height} = entries[entries.length - 1].contentRect;
+        const size = `${Math.round(width)}x${Math.round(height)}`;
+        if (size === this.lastWrapperSize) return;
+        const isFirstObservation = this.lastWrapperSize === null;
+        this.lastWrapperSize = size;
+        if (isFirstObservation) return;
+
+        cancelAnimationFrame(this.resizeFrame);
+        this.resizeFrame = requestAnimationFrame(() => this.fitTracks());
+      });
+      this.resizeObserver.observe(sliderWrapper);
     }
 
-    // WCAG 2.2.2 (Pause, Stop, Hide): wire up the pause/play toggle button
-    if (this.settings.pauseButton) {
-      this.pauseButton = this.el.querySelector(".infinite-slider-pause-toggle");
-      if (this.pauseButton) {
-        this.pauseButton.addEventListener("click", () => this.togglePause());
-      }
+    // Follow edits to the original items without a rebuild
+    this.bindContentObserver();
+
+    // Keyboard navigation, focus pause and clone hiding for assistive technology
+    if (sliderWrapper) {
+      this.bindAccessibility(sliderWrapper);
+    }
+
+    // Pause on hover - only while stopOnHover is enabled (breakpoints can toggle it)
+    if (sliderWrapper) {
+      sliderWrapper.addEventListener("mouseenter", () => {
+        if (this.settings.stopOnHover) this.setHold("hover", true);
+      });
+
+      sliderWrapper.addEventListener("mouseleave", () => {
+        // An explicit user pause is its own hold, so it survives the hover ending
+        this.setHold("hover", false);
+      });
+    }
+
+    // Pause off-screen sliders and hidden tabs - only if pauseOffscreen is enabled
+    if (this.settings.pauseOffscreen && sliderWrapper) {
+      this.bindVisibility(sliderWrapper);
+    }
+
+    // Tie speed to page scroll velocity - only if scrollVelocity is enabled
+    if (this.settings.scrollVelocity && this.engine) {
+      this.bindScrollVelocity();
     }
+
+    // Item visibility and click events - only if analytics is enabled
+    if (this.settings.analytics && sliderWrapper) {
+      this.bindAnalytics(sliderWrapper);
+    }
+
+    // Drag/swipe to scrub the loop - only if draggable is enabled
+    if (this.settings.draggable && sliderWrapper) {
+      this.bindDrag(sliderWrapper);
+    }
+
+    // Open items in a lightbox - only if lightbox is enabled (and clickthrough is off)
+    if (this.hasLightbox() && sliderWrapper) {
+      this.bindLightbox();
+    }
+
+    // Preserved slides have no link of their own to click through - only if allowClickthrough is enabled
+    if (this.settings.allowClickthrough && this.settings.preserveStructure && sliderWrapper) {
+      this.onItem("click", (e, resolved) => this.followItemLink(e, resolved));
+    }
+
+    // WCAG 2.2.2 (Pause, Stop, Hide): add the pause/play toggle button when enabled
+    this.updatePauseButton();
+
+    // Previous/next buttons and position indicator - only if enabled
+    this.updateNavigation();
   }
 
-  destroy() {
+  // rebuild: the instance is built again straight after, so it stays registered and quiet (see rebuild)
+  destroy({rebuild = false} = {}) {
     // Remove custom content
     const customContent = this.el.querySelector(".wm-plugin-content");
     if (customContent) customContent.remove();
 
-    // Clean up custom cursor handlers
-    if (this._cursorHandlers) {
-      const {mouseMoveHandler, mouseLeaveHandler, sliderWrapper} = this._cursorHandlers;
-      sliderWrapper.removeEventListener("mousemove", mouseMoveHandler);
-      sliderWrapper.removeEventListener("mouseleave", mouseLeaveHandler);
-      this._cursorHandlers = null;
-    }
+    this.removeCustomCursor();
 
-    // Unregister from cursor instances
-    WMInfiniteSlider.cursorInstances.delete(this);
-
-    // Only destroy shared cursor if no instances are using it
-    if (WMInfiniteSlider.cursorInstances.size === 0 && WMInfiniteSlider.sharedCursor) {
-      cancelAnimationFrame(WMInfiniteSlider.sharedCursor.rafId);
-      WMInfiniteSlider.sharedCursor.element.remove();
-      WMInfiniteSlider.sharedCursor = null;
+    // Close and remove the lightbox overlay
+    if (this.lightbox) {
+      this.closeLightbox();
+      this.lightbox.element.remove();
+      this.lightbox = null;
     }
 
-    this.customCursorEl = null;
+    // Stop any drag momentum and engine frames still running
+    this.stopMomentum();
+    this.dragState = null;
+    this.stopEngine();
+    this.engine = null;
 
     // Clean up pause/play toggle state (button is removed with wm-plugin-content)
     this.el.classList.remove("paused");
     this.pauseButton = null;
     this.userPaused = false;
+    this.pauseHolds.clear();
+
+    if (this._resizeHandler) {
+      window.removeEventListener("resize", this._resizeHandler);
+      this._resizeHandler = null;
+    }
+
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect();
+      this.resizeObserver = null;
+    }
+    cancelAnimationFrame(this.resizeFrame);
+    this.lastWrapperSize = null;
+
+    if (this._scrollHandler) {
+      window.removeEventListener("scroll", this._scrollHandler);
+      this._scrollHandler = null;
+    }
+    this.scrollBoost = 0;
+
+    // Disconnect lazy-load and visibility observers
+    if (this.lazyObserver) {
+      this.lazyObserver.disconnect();
+      this.lazyObserver = null;
+    }
+
+    if (this.visibilityObserver) {
+      this.visibilityObserver.disconnect();
+      this.visibilityObserver = null;
+    }
+
+    if (this._visibilityHandler) {
+      document.removeEventListener("visibilitychange", this._visibilityHandler);
+      this._visibilityHandler = null;
+    }
+
+    // Stop video slides
+    if (this.videoObserver) {
+      this.videoObserver.disconnect();
+      this.videoObserver = null;
+    }
+    this.visibleVideos.forEach(video => video.pause());
+    this.visibleVideos.clear();
+
+    // Item behaviours go with the wrapper
+    this.itemHandlers.clear();
+
+    // Stop prev/next transitions and the indicator
+    this.stopNudge();
+    this.removeIndicator();
+
+    // Stop item analytics
+    if (this.itemObserver) {
+      this.itemObserver.disconnect();
+      this.itemObserver = null;
+    }
+    if (!rebuild) this.seenItems.clear();
+
+    // Stop following the original items
+    if (this.contentObserver) {
+      this.contentObserver.disconnect();
+      this.contentObserver = null;
+    }
+    clearTimeout(this.contentTimer);
+
+    // Abandon a source feed request still in flight
+    if (this.sourceController) {
+      this.sourceController.abort();
+      this.sourceController = null;
+    }
 
     // Remove the plugin container (duplicate)
     if (this.pluginContainer) {
@@ -826,44 +3496,61 @@ class WMInfiniteSlider {
     this.el.removeAttribute("data-wm-plugin");
     this.el.removeAttribute("data-preserve-structure");
     this.el.removeAttribute("data-allow-clickthrough");
+    this.el.removeAttribute("data-lightbox");
+    this.el.removeAttribute("data-caption");
+    this.el.removeAttribute("data-rows");
+    this.el.removeAttribute("data-orientation");
+    this.el.removeAttribute("data-fade");
+    this.el.removeAttribute("data-fade-side");
     this.el.style.removeProperty("--system-slider-gap");
     this.el.style.removeProperty("--system-item-width");
-    this.el.style.removeProperty("--scroll-distance");
-    this.el.style.removeProperty("--scroll-duration");
+    this.rows = [];
+    this.imagesLoaded = false;
+    this.pendingReset = null;
+    this.pendingSync = false;
 
     // Clear timers
     if (this.resizeTimer) {
       clearTimeout(this.resizeTimer);
     }
 
-    // Emit destroy event
-    WMInfiniteSlider.emitEvent(":destroy", {el: this.el}, this.el);
+    if (rebuild) return;
+
+    // Unregister and emit destroy event
+    if (WMInfiniteSlider.instances.get(this.el) === this) {
+      WMInfiniteSlider.instances.delete(this.el);
+    }
+    WMInfiniteSlider.emitEvent(":destroy", {el: this.el, instance: this}, this.el);
   }
 }
 
 // Immediate initialization (no DOMContentLoaded)
 (function () {
-  const pluginName = "infinite-slider";
-  const sections = document.querySelectorAll(`[id^="${pluginName}"]`);
-  const instances = [];
-
-  sections.forEach(section => {
-    const sectionId = section.id;
-    const settings = window.wmInfiniteSliderSettings?.[sectionId] || {};
-    const instance = new WMInfiniteSlider(section, settings);
-    instances.push(instance);
-  });
-
-  // Backend teardown: watch for edit mode activation
-  if (window.top !== window.self) {
+  // Expose the class so site scripts can reach the instance registry and runtime API
+  window.WMInfiniteSlider = WMInfiniteSlider;
+
+  const initAll = () => {
+    WMInfiniteSlider.findSections().forEach(section => {
+      new WMInfiniteSlider(section, WMInfiniteSlider.resolveSettings(section));
+    });
+  };
+
+  // Backend: stay out of the way while editing so the editor works on the plain section,
+  // then initialize again (with any edited settings) once edit mode exits
+  const isBackend = window.top !== window.self;
+  let editing = isBackend && document.body.classList.contains("sqs-edit-mode-active");
+  if (!editing) initAll();
+
+  if (isBackend) {
     const observer = new MutationObserver(() => {
-      if (document.body.classList.contains("sqs-edit-mode-active")) {
-        instances.forEach(instance => {
-          if (instance && typeof instance.destroy === "function") {
-            instance.destroy();
-          }
-        });
-        observer.disconnect();
+      const isEditing = document.body.classList.contains("sqs-edit-mode-active");
+      if (isEditing === editing) return;
+      editing = isEditing;
+
+      if (editing) {
+        WMInfiniteSlider.getInstances().forEach(instance => instance.destroy());
+      } else {
+        initAll();
       }
     });
 